@@ -0,0 +1,201 @@
+#!/usr/bin/env node
+'use strict';
+
+const
+	path = require('path'),
+	readline = require('readline'),
+	output = require('../src/output.js'),
+	baselines = require('../src/baseline.js');
+
+const usage = `Usage: ti-appium-baselines <command> [names...] [options]
+
+Review the screenshots left in Screen_Shots by failed screenshot tests.
+
+Commands:
+  review            Step through each failed screenshot, approving or rejecting it (default)
+  list              List the failed screenshots and their reference, actual and diff images
+  html              Write a static HTML page showing each failed screenshot
+  approve [names]   Make the failed screenshots the new baselines
+  reject [names]    Discard the failed screenshots, keeping the current baselines
+
+Options:
+  --root <dir>      The root of the project being tested (default: current directory)
+  --out <file>      Where to write the HTML page (default: <root>/Screen_Shots/review.html)
+  --device          Approve into a baseline specific to the device, rather than replacing the reference used
+  --all             Approve or reject every failed screenshot
+  --help            Show this message`;
+
+main().catch(err => {
+	output.error(err.message);
+	process.exit(1);
+});
+
+/**
+ * Parse the arguments and run the requested command.
+ * @private
+ */
+async function main() {
+	const
+		args = parseArgs(process.argv.slice(2)),
+		root = path.resolve(args.root || process.cwd());
+
+	if (args.help) {
+		return console.log(usage);
+	}
+
+	let entries = baselines.pending(root);
+
+	switch (args.command) {
+		case 'review':
+			if (entries.length === 0) {
+				return output.info('No failed screenshots to review');
+			}
+
+			return review(entries, args);
+
+		case 'list':
+			if (entries.length === 0) {
+				return output.info('No failed screenshots to review');
+			}
+
+			return entries.forEach(entry => describe(entry));
+
+		case 'html': {
+			const file = baselines.review(entries, path.resolve(args.out || path.join(root, 'Screen_Shots', 'review.html')));
+
+			return output.info(`Wrote the review page for ${entries.length} screenshot(s) to ${file}`);
+		}
+
+		case 'approve':
+		case 'reject':
+			if (!args.all) {
+				if (args.names.length === 0) {
+					throw new Error(`Pass the names of the screenshots to ${args.command}, or --all`);
+				}
+
+				const unknown = args.names.filter(name => !entries.some(entry => entry.name === name));
+
+				if (unknown.length > 0) {
+					throw new Error(`No failed screenshots found for: ${unknown.join(', ')}`);
+				}
+
+				entries = entries.filter(entry => args.names.includes(entry.name));
+			}
+
+			return entries.forEach(entry => decide(entry, args.command, args));
+
+		default:
+			throw new Error(`Unknown command '${args.command}'\n\n${usage}`);
+	}
+}
+
+/**
+ * Step through the failed screenshots, asking what to do with each one.
+ * @private
+ *
+ * @param {Object[]} entries - The failed screenshots
+ * @param {Object} args - The parsed arguments
+ */
+async function review(entries, args) {
+	const
+		rl = readline.createInterface({ input: process.stdin, output: process.stdout }),
+		ask = question => new Promise(resolve => rl.question(question, answer => resolve(answer.trim().toLowerCase()))),
+		actions = { a: 'approve', d: 'device', r: 'reject', s: 'skip', q: 'quit' };
+
+	try {
+		for (const entry of entries) {
+			describe(entry);
+
+			let action;
+
+			while (!action) {
+				action = actions[(await ask('[a]pprove, approve for this [d]evice, [r]eject, [s]kip or [q]uit? '))[0]];
+			}
+
+			if (action === 'quit') {
+				break;
+			} else if (action === 'approve' || action === 'device') {
+				decide(entry, 'approve', { device: action === 'device' || args.device });
+			} else if (action === 'reject') {
+				decide(entry, 'reject', args);
+			}
+		}
+	} finally {
+		rl.close();
+	}
+}
+
+/**
+ * Print the images involved in a failed screenshot.
+ * @private
+ *
+ * @param {Object} entry - A failed screenshot
+ */
+function describe(entry) {
+	output.banner(entry.name);
+
+	console.log(`Reference: ${entry.reference || 'Not recorded'}`);
+	console.log(`Actual:    ${entry.actual}`);
+	console.log(`Diff:      ${entry.diff || 'Not recorded'}`);
+
+	if (entry.composite) {
+		console.log(`Composite: ${entry.composite}`);
+	}
+}
+
+/**
+ * Approve or reject a failed screenshot, and report the outcome.
+ * @private
+ *
+ * @param {Object} entry - A failed screenshot
+ * @param {String} command - Either 'approve' or 'reject'
+ * @param {Object} opts - Optional arguments
+ * @param {Boolean} opts.device - Approve into a device specific baseline
+ */
+function decide(entry, command, { device = false } = {}) {
+	if (command === 'approve') {
+		try {
+			output.info(`Approved ${entry.name} as ${baselines.approve(entry, { device: device })}`);
+		} catch (e) {
+			output.warn(e.message);
+		}
+	} else {
+		baselines.reject(entry);
+		output.info(`Rejected ${entry.name}`);
+	}
+}
+
+/**
+ * Split the command line into a command, screenshot names and options.
+ * @private
+ *
+ * @param {String[]} argv - The arguments passed to the script
+ */
+function parseArgs(argv) {
+	const args = {
+		command: 'review',
+		names: []
+	};
+
+	const positional = [];
+
+	for (let i = 0; i < argv.length; i++) {
+		const arg = argv[i];
+
+		if (arg === '--root' || arg === '--out') {
+			args[arg.slice(2)] = argv[++i];
+		} else if (arg.startsWith('--')) {
+			args[arg.slice(2)] = true;
+		} else {
+			positional.push(arg);
+		}
+	}
+
+	if (positional.length > 0) {
+		args.command = positional.shift();
+	}
+
+	args.names = positional;
+
+	return args;
+}
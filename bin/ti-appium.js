@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+'use strict';
+
+const
+	path = require('path'),
+	tiAppium = require('../index.js'),
+	output = require('../src/output.js');
+
+const usage = `Usage: ti-appium <command> [options]
+
+Build and test a Titanium application, as described by a ti-appium.config.js
+or ti-appium.config.json in the current directory.
+
+Commands:
+  build             Set up the SDK and CLI, then build the app for each platform
+  test              Run the tests against the last build of the app
+  run               Build the app, then run the tests
+  doctor            Check the machine has everything needed to build and test
+
+Options:
+  --config <file>   The config file to use, or the directory containing it
+  --platform <name> Only build or test for this platform, can be repeated
+  --debug           Show debug output
+  --help            Show this message`;
+
+main().then(code => {
+	process.exitCode = code;
+}).catch(err => {
+	output.error(err.message);
+	process.exitCode = 1;
+});
+
+/**
+ * Parse the arguments and run the requested command, resolving with the exit
+ * code.
+ * @private
+ */
+async function main() {
+	const args = parseArgs(process.argv.slice(2));
+
+	if (args.help || !args.command) {
+		console.log(usage);
+		return args.command ? 0 : 1;
+	}
+
+	if (args.debug) {
+		process.env.logging = 'debug';
+	}
+
+	const config = await tiAppium.loadConfig(args.config || process.cwd());
+
+	// The debug flag wins over the level in the config
+	tiAppium.configureLogging(Object.assign({}, config.log, args.debug ? { level: 'debug' } : {}));
+
+	if (args.platforms.length > 0) {
+		const unknown = args.platforms.filter(platform => !config.platforms.includes(platform));
+
+		if (unknown.length > 0) {
+			throw new Error(`Platform(s) not in the config: ${unknown.join(', ')}`);
+		}
+	}
+
+	const platforms = (args.platforms.length > 0) ? args.platforms : config.platforms;
+
+	switch (args.command) {
+		case 'build': {
+			const apps = await tiAppium.build(config, { platforms: platforms });
+
+			Object.keys(apps).forEach(platform => output.info(`Built ${platform} app: ${apps[platform]}`));
+
+			tiAppium.timeline(path.join(config.root, 'Reports'));
+
+			return 0;
+		}
+
+		case 'test':
+		case 'run': {
+			const matrix = await tiAppium.run(config, { build: args.command === 'run', platforms: platforms });
+
+			return matrix.passed ? 0 : 1;
+		}
+
+		case 'doctor': {
+			const checks = await tiAppium.doctor(config, { platforms: platforms });
+
+			checks.forEach(check => {
+				if (check.passed) {
+					output.info(`${check.name}: ${check.message}`);
+				} else {
+					output.error(`${check.name}: ${check.message}`);
+				}
+			});
+
+			return checks.every(check => check.passed) ? 0 : 1;
+		}
+
+		default:
+			throw new Error(`Unknown command '${args.command}'\n\n${usage}`);
+	}
+}
+
+/**
+ * Split the command line into a command and options.
+ * @private
+ *
+ * @param {String[]} argv - The arguments passed to the script
+ */
+function parseArgs(argv) {
+	const args = {
+		platforms: []
+	};
+
+	for (let i = 0; i < argv.length; i++) {
+		const arg = argv[i];
+
+		if (arg === '--config') {
+			args.config = argv[++i];
+		} else if (arg === '--platform') {
+			args.platforms = args.platforms.concat(String(argv[++i]).toLowerCase().split(','));
+		} else if (arg.startsWith('--')) {
+			args[arg.slice(2)] = true;
+		} else if (!args.command) {
+			args.command = arg;
+		} else {
+			throw new Error(`Unexpected argument '${arg}'\n\n${usage}`);
+		}
+	}
+
+	return args;
+}
@@ -1,14 +1,16 @@
 'use strict';
 
 const
+	path = require('path'),
 	mocha = require('./src/mocha.js'),
-	output = require('./src/output.js');
+	appium = require('./src/appium.js'),
+	output = require('./src/output.js'),
+	timeline = require('./src/timeline.js');
 
 /**
  * @function info
  * @desc
- * Writes a message with a green info tag (note no new line is passed by
- * default).
+ * Writes a message with a green info tag.
  *
  * @param {String} message - A string to be output after the info tag
  */
@@ -17,8 +19,8 @@ exports.info = output.info;
 /**
  * @function step
  * @desc
- * Writes a message with a green info tag (note no new line is passed by
- * default).
+ * Writes a message with a green info tag, marking the start of a step that
+ * is completed with finish or skip.
  *
  * @param {String} message - A string to be output after the info tag
  */
@@ -46,7 +48,7 @@ exports.error = output.error;
 /**
  * @function debug
  * @desc
- * Outputs a message when the debug flag is used.
+ * Outputs a message when the log level is debug or lower.
  *
  * @param {String} message - String to be output
  */
@@ -55,7 +57,7 @@ exports.debug = output.debug;
 /**
  * @function warn
  * @desc
- * Outputs a message when the warn flag is used.
+ * Writes a message with a yellow warning tag.
  *
  * @param {String} message - String to be output
  */
@@ -80,6 +82,96 @@ exports.banner = output.banner;
  */
 exports.finish = output.finish;
 
+/**
+ * @function fail
+ * @desc
+ * Writes the current step out in red as having failed.
+ *
+ * @param {Error} err - The reason the step failed
+ */
+exports.fail = output.fail;
+
+/**
+ * @function trace
+ * @desc
+ * Outputs a message when the log level is trace.
+ *
+ * @param {String} message - String to be output
+ */
+exports.trace = output.trace;
+
+/**
+ * @function log
+ * @desc
+ * Write a message at a given level to every sink that accepts it.
+ *
+ * @param {String} level - One of trace, debug, info, warn or error
+ * @param {String} message - The message to write
+ */
+exports.log = output.log;
+
+/**
+ * @function configureLogging
+ * @desc
+ * Change what the console logs and how, and optionally log to a file as well.
+ * The file is moved aside once it gets too big, keeping the last few.
+ *
+ * @param {Object} opts - Optional arguments
+ * @param {String} opts.level - The lowest level to output to the console, one of trace, debug, info, warn or error
+ * @param {Boolean} opts.json - Whether or not to write each record as a line of JSON
+ * @param {Boolean} opts.timestamps - Whether or not to prefix messages with their timestamp
+ * @param {Boolean} opts.colours - Whether or not to colour messages, defaults to whether the console is a TTY
+ * @param {String} opts.file - The path of a file to log to as well, e.g. Reports/ti-appium.log
+ * @param {String} opts.fileLevel - The lowest level to write to the file
+ * @param {Int} opts.maxSize - The size in bytes the file can reach before it is rotated
+ * @param {Int} opts.maxFiles - How many rotated files to keep
+ * @returns {Object} The file sink, if a file was given
+ */
+exports.configureLogging = (opts = {}) => {
+	output.configure(opts);
+
+	if (opts.file) {
+		return output.addSink(output.fileSink(opts.file, {
+			level: opts.fileLevel,
+			json: opts.json,
+			maxSize: opts.maxSize,
+			maxFiles: opts.maxFiles
+		}));
+	}
+};
+
+/**
+ * @function addLogSink
+ * @desc
+ * Send log records somewhere else as well as the console. A sink is an object
+ * with a write(record) function, where the record has the time, level and
+ * message, and an optional level to filter by.
+ *
+ * @param {Object} sink - The sink to add
+ * @returns {Object} The sink, for removing it with removeLogSink
+ */
+exports.addLogSink = output.addSink;
+
+/**
+ * @function removeLogSink
+ * @desc
+ * Stop sending log records to a sink added with addLogSink.
+ *
+ * @param {Object} sink - The sink to remove
+ */
+exports.removeLogSink = output.removeSink;
+
+/**
+ * @function addSecret
+ * @desc
+ * Register a value that must never be logged, such as a password or an access
+ * key. It is masked in every message from then on. The values of password
+ * flags like `--keystore-password` are always masked.
+ *
+ * @param {String} secret - The value to mask
+ */
+exports.addSecret = output.addSecret;
+
 /**
  * @function appcRun
  * @desc
@@ -144,18 +236,23 @@ exports.appcSetup = async (conf, { force = false, ti = false } = {}) => {
 	try {
 		let appcSDK;
 
-		if (ti) {
-			appcSDK = await appc.installSDK(conf.sdk, force);
-		} else {
+		if (!ti) {
+			output.step('Logging into the Appcelerator CLI', { category: 'setup' });
 			await appc.login(conf, 'production');
+			output.finish();
 
+			output.step(`Installing CLI version ${conf.cli}`, { category: 'setup' });
 			await appc.installCLI(conf);
-
-			appcSDK = await appc.installSDK(conf.sdk, force);
+			output.finish();
 		}
 
+		output.step(`Installing SDK ${conf.sdk}`, { category: 'sdk' });
+		appcSDK = await appc.installSDK(conf.sdk, force);
+		output.finish();
+
 		return appcSDK;
 	} catch (err) {
+		output.fail(err);
 		throw err;
 	}
 };
@@ -165,38 +262,143 @@ exports.appcSetup = async (conf, { force = false, ti = false } = {}) => {
  * @desc
  * Tells the Appium server to shut down
  */
-exports.stopAppium = require('./src/appium.js').quitServ;
+exports.stopAppium = () => appium.quitServ();
 
 /**
  * @function stopClient
  * @desc
  * Stops the WD session, but first it closes and removes the app from the
- * device in an attempt to save storage space.
+ * device in an attempt to save storage space. If no name is given, the
+ * session assigned to global.driver is stopped.
+ *
+ * @param {Boolean} softStop - Whether or not to remove the app on stopping
+ * @param {Object} opts - Optional arguments
+ * @param {String} opts.name - The name of the session to stop
+ */
+exports.stopClient = (softStop, opts) => appium.stopClient(softStop, opts);
+
+/**
+ * @function stopClients
+ * @desc
+ * Stops every running WD session.
+ *
+ * @param {Boolean} softStop - Whether or not to remove the app on stopping
  */
-exports.stopClient = require('./src/appium.js').stopClient;
+exports.stopClients = (softStop) => appium.stopClients(softStop);
 
 /**
  * @function startAppium
  * @desc
  * Launch an Appium server for the mobile testing, as it cannot use the
- * desktop session.
+ * desktop session. Can also attach to an existing external server.
  *
- * @param {String} modRoot - The path to the root of the project being tested
  * @param {Object} args - Arguments
  * @param {String} args.hostname - The address of the Appium server to connect to
  * @param {Int} args.port - The port of the server that the Appium server is running on
+ * @param {String} args.protocol - The protocol to connect with, either 'http' or 'https'
+ * @param {String} args.path - The base path the Appium server is served from
+ * @param {String} args.auth - Credentials for an external server in the form 'user:key'
+ * @param {Boolean} args.external - Whether or not to attach to an existing server
  */
-exports.startAppium = require('./src/appium.js').runAppium;
+exports.startAppium = (args) => appium.runAppium(args);
 
 /**
  * @function startClient
  * @desc
  * Starts a WD session on the device, using the given capability requirements
- * as Appium configuration.
+ * as Appium configuration. Returns a handle to the session, which is also
+ * assigned to global.driver.
  *
  * @param {Object} capabilities - Desired capabilities for Appium to run with
+ * @param {Object} opts - Optional arguments
+ * @param {String} opts.name - A unique name to register the session under
+ * @param {Object} opts.server - The Appium server to connect to, defaults to the one started by startAppium
+ * @param {Boolean} opts.strict - Whether or not to reject capabilities that aren't known, rather than warn about them
+ */
+exports.startClient = (capabilities, opts) => appium.startClient(capabilities, opts);
+
+/**
+ * @function getSession
+ * @desc
+ * Return a session handle by the name it was started with.
+ *
+ * @param {String} name - The name the session was registered under
+ */
+exports.getSession = (name) => appium.getSession(name);
+
+/**
+ * @function getSessions
+ * @desc
+ * Return the handles of all the currently running sessions.
+ */
+exports.getSessions = () => appium.getSessions();
+
+/**
+ * @function definePreset
+ * @desc
+ * Register a named set of capabilities, which can be used with the preset key
+ * of the capabilities passed to startClient. Built in presets are
+ * 'android-emulator', 'android-real-device', 'ios-simulator' and
+ * 'ios-real-device'.
+ *
+ * @param {String} name - The name to refer to the preset by
+ * @param {Object} capabilities - The capabilities the preset sets
+ * @param {Object} opts - Optional arguments
+ * @param {String|String[]} opts.extends - Presets to build on, their capabilities are overridden by this one's
+ */
+exports.definePreset = require('./src/capabilities.js').definePreset;
+
+/**
+ * @function defineCapability
+ * @desc
+ * Add a capability to the schema startClient validates against, for
+ * capabilities of drivers or services that aren't already known.
+ *
+ * @param {String} name - The name of the capability
+ * @param {Object} spec - What the capability accepts, e.g. { type: 'string', platform: 'Android' }
  */
-exports.startClient = require('./src/appium.js').startClient;
+exports.defineCapability = require('./src/capabilities.js').defineCapability;
+
+/**
+ * @function definePage
+ * @desc
+ * Define a page object from a map of field names to locators, where each
+ * field is a getter that looks its element up when used. A locator has one
+ * of id, text, xpath or className, an optional timeout, and can be replaced
+ * on one platform with an `ios` or `android` key, e.g.
+ * `{ title: { text: 'Welcome', android: { xpath: '//*[@text="Welcome"]' } } }`.
+ *
+ * @param {Object} fields - The locators of the page, keyed by field name
+ * @param {Object} opts - Optional arguments
+ * @param {String} opts.name - The name of the page, used in errors
+ * @param {Object} opts.driver - The driver to look elements up with, defaults to global.driver
+ */
+exports.definePage = require('./src/page.js').define;
+
+/**
+ * @function ui
+ * @desc
+ * Start building a UiAutomator selector for Android, which escapes its
+ * arguments and turns into the `new UiSelector()` expression when used as a
+ * string, e.g. `ui().resourceId('com.app:id/list').childSelector(ui().text('Item')).instance(2)`.
+ * Use it with elementUiSelector, scrollToElement or the uiautomator locator
+ * of find.
+ */
+exports.ui = require('./src/uiautomator.js').ui;
+
+/**
+ * @function scrollIntoView
+ * @desc
+ * Build a UiScrollable expression that scrolls a list on Android until an
+ * element matching the selector is in view.
+ *
+ * @param {UiSelector|String} selector - The element to scroll to
+ * @param {Object} opts - Optional arguments
+ * @param {UiSelector|String} opts.container - The list to scroll, defaults to the first scrollable element
+ * @param {Boolean} opts.horizontal - Whether or not the list scrolls horizontally
+ * @param {Int} opts.maxSwipes - The most swipes to make before giving up
+ */
+exports.scrollIntoView = require('./src/uiautomator.js').scrollIntoView;
 
 /**
  * Launch the Mocha test run on the collected files
@@ -206,17 +408,36 @@ exports.startClient = require('./src/appium.js').startClient;
  * @param {Object}  opts - Optional Arguments
  * @param {Int} opts.timeout  - Timeout threshold for Mocha tests
  * @param {Int} opts.slow - Slow threshold for Mocha tests
+ * @param {String[]} opts.include - Glob patterns, relative to dir, of files to run
+ * @param {String[]} opts.exclude - Glob patterns, relative to dir, of files to ignore
+ * @param {Boolean} opts.recursive - Whether or not to search sub-directories for tests
+ * @param {String|RegExp} opts.grep - Only run tests with a matching title
+ * @param {String[]} opts.tags - Only run tests tagged with one of these (e.g. '@smoke')
+ * @param {String[]} opts.excludeTags - Don't run tests tagged with any of these
+ * @param {Array} opts.reporters - Reporters to write results with, e.g. [ 'junit', 'json', 'html' ]
+ * @param {String} opts.consoleReporter - The Mocha reporter used for console output
+ * @param {Boolean} opts.legacy - Whether or not to resolve with the results array used by earlier versions
+ * @param {Object|Int} opts.retry - The retry policy for failed tests, or just the retry count
+ * @param {Int} opts.retry.count - How many times to retry a failed test
+ * @param {Array} opts.retry.retryable - Strings, expressions or functions matching errors worth retrying
+ * @param {String} opts.rerun - A JUnit or JSON report from a previous run, to only rerun its failed tests
+ * @param {Object|Boolean} opts.artifacts - Whether or not to save a screenshot, page source and device log when a test fails
+ * @param {String} opts.outDir - The directory to write the reports to, defaults to the Reports directory of the project
  */
-exports.test = async (dir, modRoot, { timeout = 60000, slow = 30000 } = {}) => {
+exports.test = async (dir, modRoot, opts = {}) => {
 	try {
-		let tests = await mocha.collectTests(dir);
+		let tests = await mocha.collectTests(dir, opts);
 
 		// Break here if no tests are defined
 		if (tests.length === 0) {
 			throw Error('No Tests Found!');
 		}
 
-		const results = await mocha.run(tests, modRoot, { timeout: timeout, slow: slow });
+		if (opts.rerun) {
+			return await mocha.rerun(opts.rerun, tests, modRoot, opts);
+		}
+
+		const results = await mocha.run(tests, modRoot, opts);
 
 		return results;
 	} catch (err) {
@@ -224,6 +445,172 @@ exports.test = async (dir, modRoot, { timeout = 60000, slow = 30000 } = {}) => {
 	}
 };
 
+/**
+ * @function loadConfig
+ * @desc
+ * Read a ti-appium config file, then validate it and fill in the defaults.
+ * Looks for `ti-appium.config.js` or `ti-appium.config.json` when passed a
+ * directory.
+ *
+ * @param {String} file - The path to the config file, or the directory containing it
+ */
+exports.loadConfig = (file) => require('./src/config.js').load(file);
+
+/**
+ * Set up the SDK and CLI from a config, then build the app for each platform.
+ *
+ * @param {Object} config - A config loaded with loadConfig
+ * @param {Object} opts - Optional arguments
+ * @param {String[]} opts.platforms - The platforms to build for, defaults to all of those in the config
+ */
+exports.build = async (config, { platforms = config.platforms } = {}) => {
+	const appc = require('./src/appcelerator.js');
+
+	if (!config.app.dir) {
+		throw Error('No application directory set in app.dir');
+	}
+
+	const
+		sdk = await exports.appcSetup(config.appc, { force: config.appc.force, ti: config.appc.ti }),
+		apps = {};
+
+	for (const platform of platforms) {
+		output.step(`Building the ${platform} application with SDK ${sdk}`, { category: 'build' });
+
+		try {
+			apps[platform] = await appc.build(config.app.dir, platform, sdk, { args: config.app.args, ti: config.appc.ti });
+		} catch (err) {
+			output.fail(err);
+			throw err;
+		}
+
+		output.finish();
+	}
+
+	return apps;
+};
+
+/**
+ * Run the whole lifecycle from a config: build the app, start Appium, then
+ * run the tests as a device matrix over every set of capabilities of each
+ * platform, before shutting everything down again. A timeline of where the
+ * time went is printed at the end, and written to `Reports/timeline.json` and
+ * `Reports/timeline.html`.
+ *
+ * @param {Object} config - A config loaded with loadConfig
+ * @param {Object} opts - Optional arguments
+ * @param {Boolean} opts.build - Whether or not to build the app first, otherwise the last build is used
+ * @param {String[]} opts.platforms - The platforms to run on, defaults to all of those in the config
+ * @returns {Promise<Object>} The device matrix, as returned by matrix
+ */
+exports.run = async (config, { build = true, platforms = config.platforms } = {}) => {
+	const appc = require('./src/appcelerator.js');
+
+	let apps = {};
+
+	if (build) {
+		apps = await exports.build(config, { platforms: platforms });
+	} else if (config.app.dir) {
+		const appName = require('tiapp.xml').load(path.join(config.app.dir, 'tiapp.xml')).name;
+
+		platforms.forEach(platform => {
+			apps[platform] = appc.createAppPath(config.app.dir, platform, appName);
+		});
+	}
+
+	const entries = [];
+
+	platforms.forEach(platform => {
+		config.capabilities[platform].forEach(capabilities => {
+			entries.push(Object.assign({ app: apps[platform] }, capabilities));
+		});
+	});
+
+	let started = false;
+
+	try {
+		output.step('Starting the Appium server', { category: 'appium' });
+
+		try {
+			await exports.startAppium(config.appium);
+			started = true;
+		} catch (err) {
+			output.fail(err);
+			throw err;
+		}
+
+		output.finish();
+
+		return await exports.matrix(entries, config.mocha.dir, config.root, Object.assign({}, config.mocha, { concurrency: config.concurrency }));
+	} finally {
+		// Only stop a server that was started, and don't let stopping it hide the error of the run
+		if (started) {
+			try {
+				await exports.stopAppium();
+			} catch (err) {
+				output.warn(`Failed to stop the Appium server: ${err.message}`);
+			}
+		}
+
+		exports.timeline(path.join(config.root, 'Reports'));
+	}
+};
+
+/**
+ * @function matrix
+ * @desc
+ * Run the tests once for each set of capabilities, sequentially or with a
+ * bounded number running at the same time. Each entry gets its own session,
+ * torn down after its run, and its own report directory under
+ * `Reports/<entry name>`. Resolves with a pass/fail matrix of every entry,
+ * which is also written to `Reports/matrix.json`.
+ *
+ * @param {Array} entries - Sets of capabilities, or objects with a name and capabilities
+ * @param {String} dir - The directory containing the test files
+ * @param {String} modRoot - The root of the project being run
+ * @param {Object} opts - Optional arguments, also accepts the options of test
+ * @param {Int} opts.concurrency - How many entries to run at the same time, above 1 each entry runs in its own process
+ * @param {Boolean} opts.softStop - Whether or not to leave the app on the device when stopping
+ * @param {Object} opts.server - The Appium server to connect to, defaults to the one started by startAppium
+ */
+exports.matrix = (entries, dir, modRoot, opts) => require('./src/matrix.js').run(entries, dir, modRoot, opts);
+
+/**
+ * @function doctor
+ * @desc
+ * Check that the machine, and the project described by a config, have what
+ * is needed to build the app and run the tests.
+ *
+ * @param {Object} config - A config loaded with loadConfig
+ * @param {Object} opts - Optional arguments
+ * @param {String[]} opts.platforms - The platforms to check for, defaults to all of those in the config
+ */
+exports.doctor = (config, opts) => require('./src/doctor.js').check(config, opts);
+
+/**
+ * @function timeline
+ * @desc
+ * Print a timeline of the run so far, showing how long each step (such as the
+ * build, SDK install, Appium start and each test) took and how it ended, then
+ * write it to `timeline.json` and `timeline.html`.
+ *
+ * @param {String} outDir - The directory to write the files to
+ * @returns {Object} The timeline, with the paths of the files written
+ */
+exports.timeline = (outDir) => timeline.report(outDir);
+
+/**
+ * @function addReporter
+ * @desc
+ * Make a reporter available to be used by name in a test run. Reporters are
+ * passed the results, the directory to write to and the label of the run,
+ * and should return the path of the file written.
+ *
+ * @param {String} name - The name to refer to the reporter by
+ * @param {Function} reporter - The function that writes the report
+ */
+exports.addReporter = require('./src/report.js').register;
+
 /**
  * @function killEmulator
  * @desc
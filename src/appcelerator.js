@@ -17,7 +17,9 @@ const
  */
 class Appc_Helper {
 	/**
-	 * Login to the Appcelerator CLI using the login command.
+	 * Login to the Appcelerator CLI using the login command. The password is
+	 * written to the CLI's standard input rather than passed as an argument, so
+	 * it doesn't show up in the process list, and is masked in the logs.
 	 *
 	 * @param {Object} appc - The details for the Appcelerator run
 	 * @param {String} appc.username - The username to authenticate with
@@ -34,8 +36,20 @@ class Appc_Helper {
 		output.debug(`Setting environment to ${env}`);
 		await exec(`appc config set defaultEnvironment ${env}`);
 
+		output.addSecret(appc.password);
+
 		output.debug('Logging into the CLI');
-		let loginReturn = await exec(`appc login --username ${appc.username} --password ${appc.password} -O ${appc.organisation} --no-prompt`).toString();
+		let loginReturn;
+
+		// Never prompt, and give up rather than hang if the CLI stops responding
+		try {
+			loginReturn = await exec(`appc login --username ${appc.username} -O ${appc.organisation} --no-prompt`, {
+				input: `${appc.password}\n`,
+				timeout: 120000
+			}).toString();
+		} catch (err) {
+			throw Error(`Error During Appc CLI Login: ${output.redact(err.message)}`);
+		}
 
 		if (loginReturn.includes('Login required to continue') || loginReturn.includes('Invalid username or password')) {
 			throw Error('Error During Appc CLI Login');
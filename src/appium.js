@@ -2,10 +2,14 @@
 
 const
 	wd = require('wd'),
+	url = require('url'),
+	http = require('http'),
+	https = require('https'),
 	chai = require('chai'),
 	appium = require('appium'),
 	output = require('./output.js'),
 	webdriver = require('./webdriver.js'),
+	capabilityHelper = require('./capabilities.js'),
 	chaiAsPromised = require('chai-as-promised');
 
 /**
@@ -16,42 +20,30 @@ const
 class Appium_Helper {
 	/**
 	 * Starts a WD session on the device, using the given capability requirements
-	 * as Appium configuration.
+	 * as Appium configuration. Sessions are registered under a name so several
+	 * devices can be driven at once, the most recently started session is also
+	 * assigned to global.driver for backwards compatibility.
 	 *
-	 * @param {Object} capabilities - Desired capabilities for Appium to run with
+	 * @param {Object} capabilities - Desired capabilities for Appium to run with, a preset key names presets to start from
+	 * @param {Object} opts - Optional arguments
+	 * @param {String} opts.name - A unique name to register the session under
+	 * @param {Object} opts.server - The Appium server to connect to, defaults to the one started by runAppium
+	 * @param {String} opts.server.protocol - The protocol to connect with, either 'http' or 'https'
+	 * @param {String} opts.server.hostname - The address of the Appium server
+	 * @param {Int} opts.server.port - The port the Appium server is listening on
+	 * @param {String} opts.server.path - The base path of the Appium server
+	 * @param {String} opts.server.auth - Credentials for the server in the form 'user:key'
+	 * @param {Boolean} opts.strict - Whether or not to reject capabilities that aren't known, rather than warn about them
 	 */
-	static async startClient(capabilities) {
-		output.debug('Starting WebDriver Instance');
-
-		if (!capabilities.automationName) {
-			switch (capabilities.platformName) {
-				case 'iOS':
-					capabilities.automationName = 'XCUITest';
-					break;
-
-				case 'Android':
-					capabilities.automationName = 'UiAutomator2';
-					break;
-
-				default:
-					capabilities.automationName = 'Appium';
-					break;
-			}
-		}
+	static async startClient(capabilities, { name = 'default', server = {}, strict = false } = {}) {
+		output.debug(`Starting WebDriver Instance '${name}'`);
 
-		if (!capabilities.deviceReadyTimeout && capabilities.platformName === 'Android') {
-			capabilities.deviceReadyTimeout = 60;
+		if (this.sessions.has(name)) {
+			throw Error(`A WebDriver session named '${name}' is already running`);
 		}
 
-		// Seems to be an issue from Xcode 11.4.1, simulators won't show as visible unless the state is 'on'
-		if (!capabilities.simulatorPasteboardAutomaticSync && capabilities.platformName === 'iOS') {
-			capabilities.simulatorPasteboardAutomaticSync = 'on';
-		}
-
-		// Sets the amount of time Appium waits before shutting down in the background
-		if (!capabilities.newCommandTimeout) {
-			capabilities.newCommandTimeout = (60 * 10);
-		}
+		// Expand any presets, fill in the platform defaults, and catch mistakes before Appium sees them
+		capabilities = capabilityHelper.resolve(capabilities, { name: name, strict: strict });
 
 		// Enabling chai assertion style: https://www.npmjs.com/package/chai-as-promised#node
 		chai.use(chaiAsPromised);
@@ -60,31 +52,74 @@ class Appium_Helper {
 		// Enables chai assertion chaining
 		chaiAsPromised.transferPromiseness = wd.transferPromiseness;
 
+		// Connect to whichever server was requested, falling back on the one we started
+		const descriptor = Object.assign(this.getServer(), server);
+
+		output.debug(`Connecting to Appium server at '${descriptor.hostname}:${descriptor.port}'`);
+
 		// Establish the testing driver
-		let driver = wd.promiseChainRemote({ host: 'localhost', port: 4723 });
+		let driver = wd.promiseChainRemote(formatUrl(descriptor));
 
 		// Make sure to include the custom commands defined in the WebDriver Helper
 		webdriver.loadDriverCommands(driver, wd);
 
-		global.driver = driver;
-		global.webdriver = wd;
-
 		await driver.init(capabilities);
 
 		// Janky fix to patch an issue with syslog not reporting on iOS tests
 		await driver.resetApp();
+
+		const session = {
+			name: name,
+			driver: driver,
+			webdriver: wd,
+			capabilities: capabilities,
+			server: descriptor
+		};
+
+		this.sessions.set(name, session);
+
+		global.driver = driver;
+		global.webdriver = wd;
+
+		return session;
+	}
+
+	/**
+	 * Return a session handle by the name it was started with.
+	 *
+	 * @param {String} name - The name the session was registered under
+	 */
+	static getSession(name = 'default') {
+		return this.sessions.get(name);
+	}
+
+	/**
+	 * Return the handles of all the currently running sessions.
+	 */
+	static getSessions() {
+		return Array.from(this.sessions.values());
 	}
 
 	/**
 	 * Stops the WD session, but first it closes and removes the app from the
-	 * device in an attempt to save storage space.
+	 * device in an attempt to save storage space. If no name is given, the
+	 * session assigned to global.driver is stopped.
 	 *
 	 * @param {Boolean} softStop - Whether or not to remove the app on stopping
+	 * @param {Object} opts - Optional arguments
+	 * @param {String} opts.name - The name of the session to stop
 	 */
-	static async stopClient(softStop = false) {
-		output.debug('Stopping WebDriver Instance');
+	static async stopClient(softStop = false, { name = undefined } = {}) {
+		const session = (name) ? this.sessions.get(name) : this.getSessions().find(x => x.driver === global.driver);
 
-		const driver = global.driver;
+		// Fall back on the global for drivers created outside of the registry
+		let driver = (name) ? undefined : global.driver;
+
+		if (session) {
+			driver = session.driver;
+		}
+
+		output.debug(`Stopping WebDriver Instance${(session) ? ` '${session.name}'` : ''}`);
 
 		if (driver) {
 			const
@@ -104,31 +139,89 @@ class Appium_Helper {
 			output.debug('Exiting the WebDriver session');
 			await driver.quit();
 
-			delete global.driver;
-			delete global.webdriver;
+			if (session) {
+				this.sessions.delete(session.name);
+			}
+
+			if (global.driver === driver) {
+				const remaining = this.getSessions();
+
+				// Hand the global over to the most recent session still running
+				if (remaining.length > 0) {
+					global.driver = remaining[remaining.length - 1].driver;
+				} else {
+					delete global.driver;
+					delete global.webdriver;
+				}
+			}
+		}
+	}
+
+	/**
+	 * Stops every running WD session.
+	 *
+	 * @param {Boolean} softStop - Whether or not to remove the app on stopping
+	 */
+	static async stopClients(softStop = false) {
+		for (const session of this.getSessions()) {
+			await this.stopClient(softStop, { name: session.name });
 		}
 	}
 
 	/**
 	 * Launch an Appium server for the mobile testing, as it cannot use the
-	 * desktop session.
+	 * desktop session. If the hostname isn't local, or the external flag is
+	 * set, attach to an already running server instead once it has passed a
+	 * health check.
 	 *
 	 * @param {Object} opts - Optional arguments
 	 * @param {String} opts.hostname - The address of the Appium server to connect to
 	 * @param {Int} opts.port - The port of the server that the Appium server is running on
+	 * @param {String} opts.protocol - The protocol to connect with, either 'http' or 'https'
+	 * @param {String} opts.path - The base path the Appium server is served from
+	 * @param {String} opts.auth - Credentials for an external server in the form 'user:key'
+	 * @param {Boolean} opts.external - Whether or not to attach to an existing server
 	 */
-	static async runAppium({ hostname = 'localhost', port = 4723 } = {}) {
-		output.debug(`Starting Appium Server On '${hostname}:${port}'`);
+	static async runAppium({ hostname = 'localhost', port = 4723, protocol = 'http', path = '/wd/hub', auth = undefined, external = false } = {}) {
 		// We only want to allow starting a server on the local machine
 		const validAddresses = [ 'localhost', '0.0.0.0', '127.0.0.1' ];
 
-		if (validAddresses.includes(hostname)) {
-			this.server = await appium.main({ host: hostname, port: port, loglevel: 'false' });
-			this.host = hostname;
-			this.port = port;
+		if (external || !validAddresses.includes(hostname)) {
+			const serverUrl = formatUrl({ protocol: protocol, hostname: hostname, port: port, path: path, auth: auth });
+
+			output.debug(`Attaching to External Appium Server On '${hostname}:${port}'`);
+
+			const status = await checkStatus(serverUrl);
+
+			output.debug(`Appium server is running version ${(status.value && status.value.build) ? status.value.build.version : 'unknown'}`);
+
+			this.external = true;
 		} else {
-			throw Error('Connecting to an External Appium Server is Not Currently Supported');
+			output.debug(`Starting Appium Server On '${hostname}:${port}'`);
+
+			this.server = await appium.main({ host: hostname, port: port, basePath: path, loglevel: 'false' });
+			this.external = false;
 		}
+
+		this.protocol = protocol;
+		this.host = hostname;
+		this.port = port;
+		this.path = path;
+		this.auth = auth;
+	}
+
+	/**
+	 * Return a descriptor of the Appium server that is currently in use, or
+	 * the default local server if runAppium hasn't been called.
+	 */
+	static getServer() {
+		return {
+			protocol: this.protocol || 'http',
+			hostname: this.host || 'localhost',
+			port: this.port || 4723,
+			path: this.path || '/wd/hub',
+			auth: this.auth
+		};
 	}
 
 	/**
@@ -138,14 +231,23 @@ class Appium_Helper {
 		output.debug('Stopping Appium Server');
 
 		try {
-			if (this.server) {
-				output.debug('Found running Appium Instance');
-				await this.server.close();
+			if (this.server || this.external) {
+				if (this.external) {
+					// We didn't start the server, so it isn't ours to shut down
+					output.debug('Detaching from external Appium Instance');
+				} else {
+					output.debug('Found running Appium Instance');
+					await this.server.close();
+				}
 
 				output.debug('Clearing class variables');
 				delete this.server;
+				delete this.external;
+				delete this.protocol;
 				delete this.host;
 				delete this.port;
+				delete this.path;
+				delete this.auth;
 			} else {
 				throw Error('Appium server not found!');
 			}
@@ -155,4 +257,77 @@ class Appium_Helper {
 	}
 }
 
+/**
+ * Turn a server descriptor into a URL that WD can connect to.
+ * @private
+ *
+ * @param {Object} server - The server descriptor
+ * @param {String} server.protocol - The protocol to connect with
+ * @param {String} server.hostname - The address of the Appium server
+ * @param {Int} server.port - The port the Appium server is listening on
+ * @param {String} server.path - The base path of the Appium server
+ * @param {String} server.auth - Credentials for the server in the form 'user:key'
+ */
+function formatUrl({ protocol = 'http', hostname = 'localhost', port = 4723, path = '/wd/hub', auth = undefined } = {}) {
+	return url.format({
+		protocol: protocol.replace(/:$/, ''),
+		slashes: true,
+		auth: auth,
+		hostname: hostname,
+		port: port,
+		pathname: path
+	}).replace(/\/$/, '');
+}
+
+/**
+ * Query the status endpoint of an Appium server to make sure it is up and
+ * ready to accept sessions.
+ * @private
+ *
+ * @param {String} serverUrl - The URL of the Appium server
+ * @param {Int} timeout - How long to wait for a response in milliseconds
+ */
+function checkStatus(serverUrl, timeout = 10000) {
+	return new Promise((resolve, reject) => {
+		const
+			statusUrl = `${serverUrl}/status`,
+			client = statusUrl.startsWith('https') ? https : http;
+
+		const req = client.get(statusUrl, res => {
+			let body = '';
+
+			res.on('data', chunk => {
+				body += chunk;
+			});
+
+			res.on('end', () => {
+				if (res.statusCode !== 200) {
+					return reject(Error(`Appium server health check failed with status code ${res.statusCode}`));
+				}
+
+				try {
+					return resolve(JSON.parse(body));
+				} catch (e) {
+					return reject(Error(`Appium server returned an invalid status response: ${e.message}`));
+				}
+			});
+		});
+
+		req.setTimeout(timeout, () => {
+			req.abort();
+			reject(Error(`Appium server didn't respond to a health check within ${timeout}ms`));
+		});
+
+		req.on('error', err => {
+			reject(Error(`Couldn't reach the Appium server for a health check: ${err.message}`));
+		});
+	});
+}
+
+/**
+ * The WD sessions currently running, keyed by the name they were started with.
+ * @private
+ */
+Appium_Helper.sessions = new Map();
+
 module.exports = Appium_Helper;
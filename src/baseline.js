@@ -0,0 +1,240 @@
+'use strict';
+
+const
+	path = require('path'),
+	fs = require('fs-extra');
+
+/**
+ * @class Baseline_Helper
+ * @desc
+ * Resolves reference screenshots per device. Each reference can have a
+ * baseline for a platform, platform version, device and screen density,
+ * stored in sub-directories next to the reference file passed to a test,
+ * e.g. `Refs/android/10/Pixel_3/440/login.png`. The most specific baseline
+ * that exists is used, falling back to `Refs/login.png` itself.
+ */
+class Baseline_Helper {
+	/**
+	 * Work out the baseline slots for a device, from the most specific to the
+	 * most general. The last slot is always the reference file's own
+	 * directory.
+	 *
+	 * @param {Object} capabilities - The capabilities of the session
+	 * @returns {String[]} Slots relative to the reference file's directory
+	 */
+	static slots(capabilities) {
+		const
+			platform = clean(capabilities.platformName).toLowerCase(),
+			version = clean(capabilities.platformVersion),
+			device = clean(capabilities.deviceModel || (capabilities.desired && capabilities.desired.deviceName) || capabilities.deviceName),
+			density = clean(capabilities.deviceScreenDensity || capabilities.pixelRatio);
+
+		const segments = [ platform, version, device, density ];
+
+		// Stop at the first piece of information we don't have
+		const known = segments.indexOf('');
+
+		const slots = [];
+
+		for (let i = (known < 0) ? segments.length : known; i > 0; i--) {
+			slots.push(path.join(...segments.slice(0, i)));
+		}
+
+		slots.push('');
+
+		return slots;
+	}
+
+	/**
+	 * Find the reference image to compare a device against, and where a new
+	 * baseline for that device should be written.
+	 *
+	 * @param {String} file - The path to the general reference image
+	 * @param {Object} capabilities - The capabilities of the session
+	 * @returns {Object} The existing reference, if any, the target path for new baselines and the device's slot
+	 */
+	static resolve(file, capabilities) {
+		const
+			slots = this.slots(capabilities),
+			candidates = slots.map(slot => path.join(path.dirname(file), slot, path.basename(file)));
+
+		return {
+			reference: candidates.find(candidate => fs.existsSync(candidate)),
+			target: candidates[0],
+			slot: slots[0]
+		};
+	}
+
+	/**
+	 * Find the screenshots left behind in `Screen_Shots` by failed comparisons,
+	 * along with the reference and diff images recorded for each of them.
+	 *
+	 * @param {String} modRoot - The path to the root of the project being tested
+	 * @returns {Object[]} The failed screenshots, ordered by name
+	 */
+	static pending(modRoot) {
+		const screenshotDir = path.join(modRoot, 'Screen_Shots');
+
+		if (!fs.existsSync(screenshotDir)) {
+			return [];
+		}
+
+		return walk(screenshotDir)
+			.filter(file => file.endsWith('_Test.png'))
+			.map(actual => {
+				const
+					record = actual.replace(/\.png$/, '.json'),
+					name = path.relative(screenshotDir, actual).replace(/_Test\.png$/, '').split(path.sep).join('/');
+
+				const entry = {
+					name: name,
+					actual: actual,
+					record: record
+				};
+
+				if (fs.existsSync(record)) {
+					const images = fs.readJsonSync(record);
+
+					entry.reference = images.reference;
+					entry.target = images.target;
+					entry.diff = images.diff;
+					entry.composite = images.composite;
+				}
+
+				return entry;
+			})
+			.sort((a, b) => a.name.localeCompare(b.name));
+	}
+
+	/**
+	 * Accept a failed screenshot as the new baseline, replacing the reference
+	 * it was compared against, and clear away the files left by the failure.
+	 *
+	 * @param {Object} entry - A failed screenshot, as returned by pending
+	 * @param {Object} opts - Optional arguments
+	 * @param {Boolean} opts.device - Write a device specific baseline, rather than replacing the reference that was used
+	 * @returns {String} The path the baseline was written to
+	 */
+	static approve(entry, { device = false } = {}) {
+		const destination = device ? entry.target : entry.reference;
+
+		if (!destination) {
+			throw new Error(`No reference was recorded for "${entry.name}", rerun the test to compare it again`);
+		}
+
+		fs.copySync(entry.actual, destination);
+
+		this.reject(entry);
+
+		return destination;
+	}
+
+	/**
+	 * Discard a failed screenshot, leaving the baseline as it is.
+	 *
+	 * @param {Object} entry - A failed screenshot, as returned by pending
+	 */
+	static reject(entry) {
+		[ entry.actual, entry.record, entry.diff, entry.composite ]
+			.filter(Boolean)
+			.forEach(file => fs.removeSync(file));
+	}
+
+	/**
+	 * Write a static HTML page showing the reference, actual and diff images of
+	 * each failed screenshot side by side, for reviewing in a browser.
+	 *
+	 * @param {Object[]} entries - The failed screenshots, as returned by pending
+	 * @param {String} file - The path to write the page to
+	 * @returns {String} The path the page was written to
+	 */
+	static review(entries, file) {
+		const dir = path.dirname(path.resolve(file));
+
+		const cell = (label, img) => {
+			if (!img || !fs.existsSync(img)) {
+				return `<figure><figcaption>${label}</figcaption><p>Missing</p></figure>`;
+			}
+
+			const src = escapeHtml(path.relative(dir, img).split(path.sep).join('/'));
+
+			return `<figure><figcaption>${label}</figcaption><a href="${src}"><img src="${src}"></a></figure>`;
+		};
+
+		const sections = entries.map(entry => [
+			'<section>',
+			`<h2>${escapeHtml(entry.name)}</h2>`,
+			'<div class="trio">',
+			cell('Reference', entry.reference),
+			cell('Actual', entry.actual),
+			cell('Diff', entry.diff),
+			'</div>',
+			`<pre>ti-appium-baselines approve ${escapeHtml(entry.name)}\nti-appium-baselines reject ${escapeHtml(entry.name)}</pre>`,
+			'</section>'
+		].join('\n'));
+
+		fs.outputFileSync(file, [
+			'<!DOCTYPE html>',
+			'<html>',
+			'<head>',
+			'<meta charset="utf-8">',
+			'<title>Screenshot Review</title>',
+			'<style>',
+			'body { font-family: sans-serif; margin: 20px; }',
+			'section { border-bottom: 1px solid #ccc; padding: 10px 0; }',
+			'.trio { display: flex; }',
+			'figure { margin: 0 10px 0 0; }',
+			'img { max-height: 600px; border: 1px solid #999; }',
+			'pre { background: #f4f4f4; padding: 5px; }',
+			'</style>',
+			'</head>',
+			'<body>',
+			`<h1>Screenshot Review (${entries.length})</h1>`,
+			sections.join('\n') || '<p>No failed screenshots to review.</p>',
+			'</body>',
+			'</html>'
+		].join('\n'));
+
+		return file;
+	}
+}
+
+/**
+ * Turn a capability value into something safe to use as a directory name.
+ * @private
+ *
+ * @param {String|Number} value - The capability value
+ */
+function clean(value) {
+	return (value === undefined || value === null) ? '' : String(value).trim().replace(/[^\w.-]+/g, '_');
+}
+
+/**
+ * List every file below a directory.
+ * @private
+ *
+ * @param {String} dir - The directory to search
+ */
+function walk(dir) {
+	return fs.readdirSync(dir).reduce((files, entry) => {
+		const file = path.join(dir, entry);
+
+		return files.concat(fs.statSync(file).isDirectory() ? walk(file) : file);
+	}, []);
+}
+
+/**
+ * Escape a string for use in the HTML review page.
+ * @private
+ *
+ * @param {String} value - The string to escape
+ */
+function escapeHtml(value) {
+	return String(value)
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;');
+}
+
+module.exports = Baseline_Helper;
@@ -0,0 +1,427 @@
+'use strict';
+
+const output = require('./output.js');
+
+/**
+ * The desired capabilities that are understood, with the type of value each
+ * takes, and the platform it applies to if it is platform specific.
+ * @private
+ */
+const SCHEMA = {
+	// General
+	platformName: { type: 'string', values: [ 'iOS', 'Android' ], required: true },
+	platformVersion: { type: [ 'string', 'number' ] },
+	deviceName: { type: 'string', required: true },
+	automationName: { type: 'string' },
+	app: { type: 'string' },
+	browserName: { type: 'string' },
+	udid: { type: 'string' },
+	language: { type: 'string' },
+	locale: { type: 'string' },
+	orientation: { type: 'string', values: [ 'PORTRAIT', 'LANDSCAPE' ] },
+	newCommandTimeout: { type: 'number' },
+	noReset: { type: 'boolean' },
+	fullReset: { type: 'boolean' },
+	autoWebview: { type: 'boolean' },
+	eventTimings: { type: 'boolean' },
+	enablePerformanceLogging: { type: 'boolean' },
+	printPageSourceOnFindFailure: { type: 'boolean' },
+	clearSystemFiles: { type: 'boolean' },
+	isHeadless: { type: 'boolean' },
+	otherApps: { type: [ 'string', 'object' ] },
+	mjpegServerPort: { type: 'number' },
+
+	// Android
+	appPackage: { type: 'string', platform: 'Android' },
+	appActivity: { type: 'string', platform: 'Android' },
+	appWaitPackage: { type: 'string', platform: 'Android' },
+	appWaitActivity: { type: 'string', platform: 'Android' },
+	appWaitDuration: { type: 'number', platform: 'Android' },
+	appWaitForLaunch: { type: 'boolean', platform: 'Android' },
+	deviceReadyTimeout: { type: 'number', platform: 'Android' },
+	androidDeviceReadyTimeout: { type: 'number', platform: 'Android' },
+	androidInstallTimeout: { type: 'number', platform: 'Android' },
+	adbPort: { type: 'number', platform: 'Android' },
+	systemPort: { type: 'number', platform: 'Android' },
+	remoteAdbHost: { type: 'string', platform: 'Android' },
+	avd: { type: 'string', platform: 'Android' },
+	avdArgs: { type: 'string', platform: 'Android' },
+	avdLaunchTimeout: { type: 'number', platform: 'Android' },
+	avdReadyTimeout: { type: 'number', platform: 'Android' },
+	autoGrantPermissions: { type: 'boolean', platform: 'Android' },
+	useKeystore: { type: 'boolean', platform: 'Android' },
+	keystorePath: { type: 'string', platform: 'Android' },
+	keystorePassword: { type: 'string', platform: 'Android' },
+	keyAlias: { type: 'string', platform: 'Android' },
+	keyPassword: { type: 'string', platform: 'Android' },
+	noSign: { type: 'boolean', platform: 'Android' },
+	unicodeKeyboard: { type: 'boolean', platform: 'Android' },
+	resetKeyboard: { type: 'boolean', platform: 'Android' },
+	chromedriverExecutable: { type: 'string', platform: 'Android' },
+	ignoreUnimportantViews: { type: 'boolean', platform: 'Android' },
+	disableAndroidWatchers: { type: 'boolean', platform: 'Android' },
+	disableWindowAnimation: { type: 'boolean', platform: 'Android' },
+	skipDeviceInitialization: { type: 'boolean', platform: 'Android' },
+	skipServerInstallation: { type: 'boolean', platform: 'Android' },
+	uiautomator2ServerLaunchTimeout: { type: 'number', platform: 'Android' },
+	uiautomator2ServerInstallTimeout: { type: 'number', platform: 'Android' },
+	allowTestPackages: { type: 'boolean', platform: 'Android' },
+	dontStopAppOnReset: { type: 'boolean', platform: 'Android' },
+	enforceAppInstall: { type: 'boolean', platform: 'Android' },
+	gpsEnabled: { type: 'boolean', platform: 'Android' },
+	networkSpeed: { type: 'string', platform: 'Android' },
+	skipUnlock: { type: 'boolean', platform: 'Android' },
+	chromeOptions: { type: 'object', platform: 'Android' },
+
+	// iOS
+	bundleId: { type: 'string', platform: 'iOS' },
+	launchTimeout: { type: 'number', platform: 'iOS' },
+	calendarFormat: { type: 'string', platform: 'iOS' },
+	locationServicesEnabled: { type: 'boolean', platform: 'iOS' },
+	locationServicesAuthorized: { type: 'boolean', platform: 'iOS' },
+	autoAcceptAlerts: { type: 'boolean', platform: 'iOS' },
+	autoDismissAlerts: { type: 'boolean', platform: 'iOS' },
+	safariAllowPopups: { type: 'boolean', platform: 'iOS' },
+	keepKeyChains: { type: 'boolean', platform: 'iOS' },
+	showIOSLog: { type: 'boolean', platform: 'iOS' },
+	showXcodeLog: { type: 'boolean', platform: 'iOS' },
+	xcodeOrgId: { type: 'string', platform: 'iOS' },
+	xcodeSigningId: { type: 'string', platform: 'iOS' },
+	xcodeConfigFile: { type: 'string', platform: 'iOS' },
+	updatedWDABundleId: { type: 'string', platform: 'iOS' },
+	wdaLocalPort: { type: 'number', platform: 'iOS' },
+	wdaLaunchTimeout: { type: 'number', platform: 'iOS' },
+	wdaConnectionTimeout: { type: 'number', platform: 'iOS' },
+	useNewWDA: { type: 'boolean', platform: 'iOS' },
+	usePrebuiltWDA: { type: 'boolean', platform: 'iOS' },
+	derivedDataPath: { type: 'string', platform: 'iOS' },
+	simulatorStartupTimeout: { type: 'number', platform: 'iOS' },
+	simulatorPasteboardAutomaticSync: { type: 'string', values: [ 'on', 'off', 'system' ], platform: 'iOS' },
+	connectHardwareKeyboard: { type: 'boolean', platform: 'iOS' },
+	shouldUseSingletonTestManager: { type: 'boolean', platform: 'iOS' },
+	maxTypingFrequency: { type: 'number', platform: 'iOS' },
+	simpleIsVisibleCheck: { type: 'boolean', platform: 'iOS' },
+	waitForQuiescence: { type: 'boolean', platform: 'iOS' },
+	reduceMotion: { type: 'boolean', platform: 'iOS' },
+	permissions: { type: 'string', platform: 'iOS' },
+	processArguments: { type: 'object', platform: 'iOS' },
+	iosInstallPause: { type: 'number', platform: 'iOS' },
+	preventWDAAttachments: { type: 'boolean', platform: 'iOS' },
+	webkitResponseTimeout: { type: 'number', platform: 'iOS' },
+	useJSONSource: { type: 'boolean', platform: 'iOS' }
+};
+
+/**
+ * The named sets of capabilities that can be used as a starting point.
+ * @private
+ */
+const PRESETS = {
+	'android-emulator': {
+		capabilities: {
+			platformName: 'Android',
+			automationName: 'UiAutomator2',
+			deviceReadyTimeout: 60,
+			avdLaunchTimeout: 120000,
+			avdReadyTimeout: 120000
+		}
+	},
+	'android-real-device': {
+		capabilities: {
+			platformName: 'Android',
+			automationName: 'UiAutomator2',
+			deviceReadyTimeout: 60,
+			autoGrantPermissions: true
+		}
+	},
+	'ios-simulator': {
+		capabilities: {
+			platformName: 'iOS',
+			automationName: 'XCUITest',
+			// Seems to be an issue from Xcode 11.4.1, simulators won't show as visible unless the state is 'on'
+			simulatorPasteboardAutomaticSync: 'on'
+		}
+	},
+	'ios-real-device': {
+		capabilities: {
+			platformName: 'iOS',
+			automationName: 'XCUITest',
+			xcodeSigningId: 'iPhone Developer'
+		}
+	}
+};
+
+/**
+ * @class Capabilities_Helper
+ * @desc
+ * Resolves the desired capabilities for a session. Capabilities can start from
+ * one or more named presets, given with a `preset` key, are filled in with
+ * the defaults for their platform, then checked against a schema so that
+ * missing values and values of the wrong type are caught before they reach
+ * Appium. Capabilities the schema doesn't know are passed on with a warning.
+ */
+class Capabilities_Helper {
+	/**
+	 * Register a preset, or replace an existing one.
+	 *
+	 * @param {String} name - The name to refer to the preset by
+	 * @param {Object} capabilities - The capabilities the preset sets
+	 * @param {Object} opts - Optional arguments
+	 * @param {String|String[]} opts.extends - Presets to build on, their capabilities are overridden by this one's
+	 */
+	static definePreset(name, capabilities, { extends: base = [] } = {}) {
+		[].concat(base).forEach(parent => {
+			if (!PRESETS[parent]) {
+				throw new Error(`Preset '${name}' extends unknown preset '${parent}'`);
+			}
+		});
+
+		PRESETS[name] = {
+			extends: [].concat(base),
+			capabilities: Object.assign({}, capabilities)
+		};
+	}
+
+	/**
+	 * Add a capability to the schema, for capabilities of drivers or services
+	 * that aren't already known.
+	 *
+	 * @param {String} name - The name of the capability
+	 * @param {Object} spec - What the capability accepts
+	 * @param {String|String[]} spec.type - The type(s) of value accepted, e.g. 'string', 'number', 'boolean' or 'object'
+	 * @param {Array} spec.values - The only values accepted
+	 * @param {String} spec.platform - The platform the capability applies to
+	 * @param {Boolean} spec.required - Whether or not the capability must be set
+	 */
+	static defineCapability(name, spec = {}) {
+		SCHEMA[name] = Object.assign({}, spec);
+	}
+
+	/**
+	 * Return the names of the registered presets.
+	 *
+	 * @returns {String[]} The preset names
+	 */
+	static presets() {
+		return Object.keys(PRESETS);
+	}
+
+	/**
+	 * Merge the presets named by the `preset` key of the capabilities with the
+	 * rest of the capabilities, which take precedence.
+	 *
+	 * @param {Object} capabilities - Desired capabilities, optionally with a preset key
+	 * @returns {Object} The merged capabilities, without the preset key
+	 */
+	static expand(capabilities) {
+		const
+			merged = {},
+			names = [].concat(capabilities.preset || []);
+
+		names.forEach(name => Object.assign(merged, presetCapabilities(name, [])));
+
+		Object.keys(capabilities).forEach(key => {
+			// Leave out anything unset, so it doesn't override a preset
+			if (key !== 'preset' && capabilities[key] !== undefined) {
+				merged[key] = capabilities[key];
+			}
+		});
+
+		return merged;
+	}
+
+	/**
+	 * Work out the final capabilities for a session: expand any presets, fill
+	 * in the defaults for the platform, then validate the result.
+	 *
+	 * @param {Object} capabilities - Desired capabilities, optionally with a preset key
+	 * @param {Object} opts - Optional arguments
+	 * @param {String} opts.name - The name of the session, used in the debug output
+	 * @param {Boolean} opts.strict - Whether or not to reject capabilities the schema doesn't know
+	 * @returns {Object} The resolved capabilities
+	 */
+	static resolve(capabilities, { name = 'default', strict = false } = {}) {
+		const resolved = this.expand(capabilities);
+
+		if (!resolved.automationName) {
+			switch (resolved.platformName) {
+				case 'iOS':
+					resolved.automationName = 'XCUITest';
+					break;
+
+				case 'Android':
+					resolved.automationName = 'UiAutomator2';
+					break;
+
+				default:
+					resolved.automationName = 'Appium';
+					break;
+			}
+		}
+
+		if (!resolved.deviceReadyTimeout && resolved.platformName === 'Android') {
+			resolved.deviceReadyTimeout = 60;
+		}
+
+		// Seems to be an issue from Xcode 11.4.1, simulators won't show as visible unless the state is 'on'
+		if (!resolved.simulatorPasteboardAutomaticSync && resolved.platformName === 'iOS') {
+			resolved.simulatorPasteboardAutomaticSync = 'on';
+		}
+
+		// Sets the amount of time Appium waits before shutting down in the background
+		if (!resolved.newCommandTimeout) {
+			resolved.newCommandTimeout = (60 * 10);
+		}
+
+		this.validate(resolved, { strict: strict });
+
+		Object.keys(resolved).filter(key => /password/i.test(key)).forEach(key => output.addSecret(resolved[key]));
+
+		output.debug(`Resolved capabilities for session '${name}': ${JSON.stringify(resolved, null, 2)}`);
+
+		return resolved;
+	}
+
+	/**
+	 * Check capabilities against the schema, throwing an error that lists
+	 * every problem found. Unknown capabilities only get a warning, as Appium
+	 * drivers accept more than the schema lists, unless strict is set.
+	 * Capabilities with a vendor prefix, such as 'appium:' or 'sauce:', aren't
+	 * checked.
+	 *
+	 * @param {Object} capabilities - The capabilities to check
+	 * @param {Object} opts - Optional arguments
+	 * @param {Boolean} opts.strict - Whether or not to reject capabilities the schema doesn't know
+	 */
+	static validate(capabilities, { strict = false } = {}) {
+		const
+			problems = [],
+			known = Object.keys(SCHEMA);
+
+		Object.keys(SCHEMA).filter(key => SCHEMA[key].required && capabilities[key] === undefined).forEach(key => {
+			problems.push(`Missing required capability '${key}'`);
+		});
+
+		if ([ 'app', 'appPackage', 'bundleId', 'browserName' ].every(key => capabilities[key] === undefined)) {
+			problems.push('Missing an app to test, set one of \'app\', \'appPackage\', \'bundleId\' or \'browserName\'');
+		}
+
+		Object.keys(capabilities).forEach(key => {
+			const
+				spec = SCHEMA[key],
+				value = capabilities[key];
+
+			if (key.includes(':')) {
+				return;
+			}
+
+			if (!spec) {
+				const
+					suggestion = closest(key, known),
+					message = `Unknown capability '${key}'${suggestion ? `, did you mean '${suggestion}'?` : ''}`;
+
+				if (strict) {
+					problems.push(message);
+				} else {
+					output.warn(message);
+				}
+				return;
+			}
+
+			if (spec.type && ![].concat(spec.type).includes(typeof value)) {
+				problems.push(`Capability '${key}' should be a ${[].concat(spec.type).join(' or ')}, got ${typeof value} ${JSON.stringify(value)}`);
+				return;
+			}
+
+			if (spec.values && !spec.values.some(option => String(option).toLowerCase() === String(value).toLowerCase())) {
+				problems.push(`Capability '${key}' should be one of ${spec.values.join(', ')}, got '${value}'`);
+			}
+
+			if (spec.platform && capabilities.platformName && spec.platform.toLowerCase() !== String(capabilities.platformName).toLowerCase()) {
+				output.warn(`Capability '${key}' only applies to ${spec.platform}, it will be ignored on ${capabilities.platformName}`);
+			}
+		});
+
+		if (problems.length > 0) {
+			throw new Error(`Invalid capabilities:\n\t${problems.join('\n\t')}`);
+		}
+	}
+}
+
+/**
+ * Collect the capabilities of a preset, including those it extends.
+ * @private
+ *
+ * @param {String} name - The name of the preset
+ * @param {String[]} chain - The presets already visited, to catch cycles
+ */
+function presetCapabilities(name, chain) {
+	const preset = PRESETS[name];
+
+	if (!preset) {
+		throw new Error(`Unknown capability preset '${name}', valid presets are: ${Object.keys(PRESETS).join(', ')}`);
+	}
+
+	if (chain.includes(name)) {
+		throw new Error(`Capability preset '${name}' extends itself through ${chain.join(' -> ')}`);
+	}
+
+	const merged = {};
+
+	(preset.extends || []).forEach(parent => Object.assign(merged, presetCapabilities(parent, chain.concat(name))));
+
+	return Object.assign(merged, preset.capabilities);
+}
+
+/**
+ * Find the known name closest to a misspelt one.
+ * @private
+ *
+ * @param {String} name - The misspelt name
+ * @param {String[]} candidates - The known names
+ */
+function closest(name, candidates) {
+	let
+		best,
+		bestDistance = Infinity;
+
+	candidates.forEach(candidate => {
+		const d = distance(name.toLowerCase(), candidate.toLowerCase());
+
+		if (d < bestDistance) {
+			best = candidate;
+			bestDistance = d;
+		}
+	});
+
+	// Only suggest names that are a plausible typo
+	return (bestDistance <= Math.max(2, Math.floor(name.length / 4))) ? best : undefined;
+}
+
+/**
+ * Count the edits needed to turn one string into another.
+ * @private
+ *
+ * @param {String} a - The first string
+ * @param {String} b - The second string
+ */
+function distance(a, b) {
+	let previous = Array.from({ length: b.length + 1 }, (value, i) => i);
+
+	for (let i = 1; i <= a.length; i++) {
+		const current = [ i ];
+
+		for (let j = 1; j <= b.length; j++) {
+			current[j] = Math.min(
+				previous[j] + 1,
+				current[j - 1] + 1,
+				previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+			);
+		}
+
+		previous = current;
+	}
+
+	return previous[b.length];
+}
+
+module.exports = Capabilities_Helper;
@@ -0,0 +1,381 @@
+'use strict';
+
+const
+	PNG = require('pngjs').PNG,
+	resemble = require('node-resemble-js');
+
+/**
+ * @class Compare_Helper
+ * @desc
+ * The algorithms available for comparing a screenshot to its reference. Each
+ * takes two decoded PNGs and resolves with the metric it measured, the
+ * threshold it was held to, whether it passed, and an image highlighting the
+ * differences.
+ */
+class Compare_Helper {
+	/**
+	 * Compare two images with the chosen algorithm.
+	 *
+	 * @param {PNG} reference - The decoded reference image
+	 * @param {PNG} actual - The decoded screenshot
+	 * @param {String|Object} compare - The name of the algorithm, or an object with a method and its options
+	 * @param {Object} opts - Options shared with the resemble comparison
+	 * @param {Decimal} opts.thresh - Percentage fault value for resemble
+	 * @param {String} opts.mode - The resemble tolerance, either 'nothing', 'antialiasing' or 'colors'
+	 * @returns {Promise<Object>} The method, metric, threshold, pass state, message and diff image of the comparison
+	 */
+	static compare(reference, actual, compare = 'resemble', { thresh, mode = 'nothing' } = {}) {
+		const
+			methods = [ 'resemble', 'phash', 'ssim', 'channel' ],
+			opts = (typeof compare === 'string') ? { method: compare } : Object.assign({ method: 'resemble' }, compare);
+
+		if (!methods.includes(opts.method)) {
+			return Promise.reject(new Error(`Invalid comparison method '${opts.method}', valid methods are: ${methods.join(', ')}`));
+		}
+
+		if (opts.method === 'resemble') {
+			return this.resemble(reference, actual, Object.assign({ thresh: thresh, mode: mode }, opts));
+		}
+
+		try {
+			return Promise.resolve(this[opts.method](reference, actual, opts));
+		} catch (e) {
+			return Promise.reject(e);
+		}
+	}
+
+	/**
+	 * Compare the images with resemble, passing when the percentage of
+	 * mismatched pixels is below the threshold.
+	 *
+	 * @param {PNG} reference - The decoded reference image
+	 * @param {PNG} actual - The decoded screenshot
+	 * @param {Object} opts - Optional arguments
+	 * @param {Decimal} opts.thresh - The highest mismatch percentage allowed
+	 * @param {String} opts.mode - The comparison tolerance, either 'nothing', 'antialiasing' or 'colors'
+	 */
+	static resemble(reference, actual, { thresh, mode = 'nothing' } = {}) {
+		return new Promise((resolve, reject) => {
+			const modes = {
+				nothing: 'ignoreNothing',
+				antialiasing: 'ignoreAntialiasing',
+				colors: 'ignoreColors'
+			};
+
+			if (!modes[mode]) {
+				return reject(new Error(`Invalid comparison mode '${mode}', valid modes are: ${Object.keys(modes).join(', ')}`));
+			}
+
+			let threshold = 0.10;
+
+			// If a custom threshold was defined, use that instead
+			if (thresh) {
+				threshold = thresh;
+			}
+
+			resemble(PNG.sync.write(actual)).compareTo(PNG.sync.write(reference))[modes[mode]]().onComplete((difference) => {
+				const metric = Number(difference.misMatchPercentage);
+
+				resolve({
+					method: 'resemble',
+					metric: metric,
+					threshold: threshold,
+					passed: metric <= threshold,
+					message: `Images didn't meet required threshold, wanted below: ${threshold}%, got: ${difference.misMatchPercentage}%`,
+					diff: difference.getDiffImage()
+				});
+			});
+		});
+	}
+
+	/**
+	 * Compare the perceptual hashes of the images, passing when they differ by
+	 * no more than the allowed number of bits. Small shifts and rescaling
+	 * barely move the hash, so this tolerates layout jitter.
+	 *
+	 * @param {PNG} reference - The decoded reference image
+	 * @param {PNG} actual - The decoded screenshot
+	 * @param {Object} opts - Optional arguments
+	 * @param {Int} opts.distance - The highest Hamming distance, out of 63 bits, allowed between the hashes
+	 */
+	static phash(reference, actual, { distance = 5 } = {}) {
+		const
+			hashes = [ reference, actual ].map(img => hash(img)),
+			metric = hashes[0].reduce((count, bit, i) => count + (bit !== hashes[1][i] ? 1 : 0), 0);
+
+		return {
+			method: 'phash',
+			metric: metric,
+			threshold: distance,
+			passed: metric <= distance,
+			message: `Perceptual hashes differ by ${metric} bits, wanted at most: ${distance}`,
+			diff: highlight(reference, actual, 0).image
+		};
+	}
+
+	/**
+	 * Compare the structure of the images, passing when the mean structural
+	 * similarity index is at least the threshold. Sensitive to changes in
+	 * shape and contrast rather than to exact pixel values.
+	 *
+	 * @param {PNG} reference - The decoded reference image
+	 * @param {PNG} actual - The decoded screenshot
+	 * @param {Object} opts - Optional arguments
+	 * @param {Decimal} opts.similarity - The lowest mean SSIM allowed, from 0 to 1
+	 * @param {Int} opts.window - The size of the square windows the index is measured over
+	 */
+	static ssim(reference, actual, { similarity = 0.95, window = 8 } = {}) {
+		if (!sameSize(reference, actual)) {
+			return mismatched('ssim', 0, similarity, reference, actual);
+		}
+
+		const
+			a = luminance(reference),
+			b = luminance(actual),
+			c1 = Math.pow(0.01 * 255, 2),
+			c2 = Math.pow(0.03 * 255, 2);
+
+		let
+			total = 0,
+			count = 0;
+
+		for (let y = 0; y < reference.height; y += window) {
+			for (let x = 0; x < reference.width; x += window) {
+				const
+					w = Math.min(window, reference.width - x),
+					h = Math.min(window, reference.height - y),
+					n = w * h;
+
+				let
+					sumA = 0,
+					sumB = 0,
+					sumAA = 0,
+					sumBB = 0,
+					sumAB = 0;
+
+				for (let j = y; j < y + h; j++) {
+					for (let i = x; i < x + w; i++) {
+						const
+							pa = a[(j * reference.width) + i],
+							pb = b[(j * reference.width) + i];
+
+						sumA += pa;
+						sumB += pb;
+						sumAA += pa * pa;
+						sumBB += pb * pb;
+						sumAB += pa * pb;
+					}
+				}
+
+				const
+					meanA = sumA / n,
+					meanB = sumB / n,
+					varA = (sumAA / n) - (meanA * meanA),
+					varB = (sumBB / n) - (meanB * meanB),
+					cov = (sumAB / n) - (meanA * meanB);
+
+				total += (((2 * meanA * meanB) + c1) * ((2 * cov) + c2)) / (((meanA * meanA) + (meanB * meanB) + c1) * (varA + varB + c2));
+				count++;
+			}
+		}
+
+		const metric = Math.round((total / count) * 10000) / 10000;
+
+		return {
+			method: 'ssim',
+			metric: metric,
+			threshold: similarity,
+			passed: metric >= similarity,
+			message: `Images didn't meet required structural similarity, wanted at least: ${similarity}, got: ${metric}`,
+			diff: highlight(reference, actual, 0).image
+		};
+	}
+
+	/**
+	 * Compare the images pixel by pixel, counting the pixels where any colour
+	 * channel differs by more than the tolerance, and passing when no more than
+	 * the allowed number of pixels differ.
+	 *
+	 * @param {PNG} reference - The decoded reference image
+	 * @param {PNG} actual - The decoded screenshot
+	 * @param {Object} opts - Optional arguments
+	 * @param {Int} opts.tolerance - The largest difference, from 0 to 255, allowed in any channel of a pixel
+	 * @param {Int} opts.pixels - The highest number of differing pixels allowed
+	 */
+	static channel(reference, actual, { tolerance = 0, pixels = 0 } = {}) {
+		// Count every pixel as different when the images can't be lined up
+		if (!sameSize(reference, actual)) {
+			return mismatched('channel', Math.max(reference.width * reference.height, actual.width * actual.height), pixels, reference, actual);
+		}
+
+		const
+			diff = highlight(reference, actual, tolerance),
+			metric = diff.count;
+
+		return {
+			method: 'channel',
+			metric: metric,
+			threshold: pixels,
+			passed: metric <= pixels,
+			message: `${metric} pixels differ by more than ${tolerance} in a channel, wanted at most: ${pixels}`,
+			diff: diff.image
+		};
+	}
+}
+
+/**
+ * Check whether two images can be compared pixel for pixel.
+ * @private
+ *
+ * @param {PNG} reference - The decoded reference image
+ * @param {PNG} actual - The decoded screenshot
+ */
+function sameSize(reference, actual) {
+	return reference.width === actual.width && reference.height === actual.height;
+}
+
+/**
+ * Fail a comparison of images that are different sizes, still highlighting
+ * the differences over the area they share so there is a diff to look at.
+ * @private
+ *
+ * @param {String} method - The name of the algorithm
+ * @param {Number} metric - The metric to report for the comparison
+ * @param {Number} threshold - The threshold the comparison was held to
+ * @param {PNG} reference - The decoded reference image
+ * @param {PNG} actual - The decoded screenshot
+ */
+function mismatched(method, metric, threshold, reference, actual) {
+	return {
+		method: method,
+		metric: metric,
+		threshold: threshold,
+		passed: false,
+		message: `Images are different sizes, reference is ${reference.width}x${reference.height}, actual is ${actual.width}x${actual.height}`,
+		diff: highlight(reference, actual, 0).image
+	};
+}
+
+/**
+ * Convert an image to its luminance values.
+ * @private
+ *
+ * @param {PNG} img - The decoded image
+ */
+function luminance(img) {
+	const values = new Float64Array(img.width * img.height);
+
+	for (let i = 0; i < values.length; i++) {
+		values[i] = (0.299 * img.data[i * 4]) + (0.587 * img.data[(i * 4) + 1]) + (0.114 * img.data[(i * 4) + 2]);
+	}
+
+	return values;
+}
+
+/**
+ * Generate the 63 bit perceptual hash of an image, from the low frequencies of
+ * a discrete cosine transform of a 32x32 greyscale copy.
+ * @private
+ *
+ * @param {PNG} img - The decoded image
+ */
+function hash(img) {
+	const
+		size = 32,
+		low = 8,
+		grey = luminance(img),
+		pixels = [];
+
+	// Shrink the image by averaging the block of pixels behind each cell
+	for (let y = 0; y < size; y++) {
+		for (let x = 0; x < size; x++) {
+			const
+				x0 = Math.floor((x * img.width) / size),
+				y0 = Math.floor((y * img.height) / size),
+				x1 = Math.max(x0 + 1, Math.floor(((x + 1) * img.width) / size)),
+				y1 = Math.max(y0 + 1, Math.floor(((y + 1) * img.height) / size));
+
+			let sum = 0;
+
+			for (let j = y0; j < y1; j++) {
+				for (let i = x0; i < x1; i++) {
+					sum += grey[(j * img.width) + i];
+				}
+			}
+
+			pixels.push(sum / ((x1 - x0) * (y1 - y0)));
+		}
+	}
+
+	const coefficients = [];
+
+	for (let v = 0; v < low; v++) {
+		for (let u = 0; u < low; u++) {
+			let sum = 0;
+
+			for (let y = 0; y < size; y++) {
+				for (let x = 0; x < size; x++) {
+					sum += pixels[(y * size) + x]
+						* Math.cos(((2 * x + 1) * u * Math.PI) / (2 * size))
+						* Math.cos(((2 * y + 1) * v * Math.PI) / (2 * size));
+				}
+			}
+
+			coefficients.push(sum);
+		}
+	}
+
+	// Leave out the average brightness, it says nothing about the structure
+	const
+		ac = coefficients.slice(1),
+		median = ac.slice().sort((a, b) => a - b)[Math.floor(ac.length / 2)];
+
+	return ac.map(value => value > median);
+}
+
+/**
+ * Generate an image of the actual screenshot, faded, with the pixels that
+ * differ from the reference by more than the tolerance in red. Images of
+ * different sizes are compared over the area they share.
+ * @private
+ *
+ * @param {PNG} reference - The decoded reference image
+ * @param {PNG} actual - The decoded screenshot
+ * @param {Int} tolerance - The largest difference allowed in any channel of a pixel
+ * @returns {Object} The diff image, and the count of pixels that differ
+ */
+function highlight(reference, actual, tolerance) {
+	const diff = new PNG({ width: actual.width, height: actual.height });
+
+	let count = 0;
+
+	for (let y = 0; y < actual.height; y++) {
+		for (let x = 0; x < actual.width; x++) {
+			const
+				i = ((y * actual.width) + x) * 4,
+				r = ((y * reference.width) + x) * 4,
+				inside = x < reference.width && y < reference.height,
+				differs = !inside || [ 0, 1, 2, 3 ].some(c => Math.abs(actual.data[i + c] - reference.data[r + c]) > tolerance);
+
+			if (differs) {
+				count++;
+				diff.data[i] = 255;
+				diff.data[i + 1] = 0;
+				diff.data[i + 2] = 0;
+			} else {
+				const grey = (actual.data[i] + actual.data[i + 1] + actual.data[i + 2]) / 3;
+
+				diff.data[i] = diff.data[i + 1] = diff.data[i + 2] = Math.round(255 - ((255 - grey) * 0.3));
+			}
+
+			diff.data[i + 3] = 255;
+		}
+	}
+
+	return {
+		image: diff,
+		count: count
+	};
+}
+
+module.exports = Compare_Helper;
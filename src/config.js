@@ -0,0 +1,164 @@
+'use strict';
+
+const
+	path = require('path'),
+	fs = require('fs-extra'),
+	Module = require('module'),
+	output = require('./output.js');
+
+const
+	FILES = [ 'ti-appium.config.js', 'ti-appium.config.json' ],
+	KEYS = [ 'root', 'appc', 'app', 'platforms', 'appium', 'capabilities', 'concurrency', 'mocha', 'log' ],
+	PLATFORMS = {
+		ios: 'iOS',
+		android: 'Android'
+	};
+
+/**
+ * @class Config_Helper
+ * @desc
+ * Loads the config file that describes a test project for the ti-appium CLI.
+ * A config is a `ti-appium.config.js` exporting an object (or a function
+ * returning one), or a `ti-appium.config.json`, in the form:
+ *
+ * {
+ *   appc: { sdk: '9.0.0.GA', cli: '8.0.0', username, password, organisation, ti: false, force: false },
+ *   app: { dir: 'app', args: [] },
+ *   platforms: [ 'ios', 'android' ],
+ *   appium: { hostname: 'localhost', port: 4723 },
+ *   capabilities: { ios: { ... }, android: [ { ... }, { ... } ] },
+ *   concurrency: 1,
+ *   mocha: { dir: 'tests', timeout: 300000, reporters: [ 'junit' ] },
+ *   log: { level: 'info', json: false, timestamps: false, file: 'Reports/ti-appium.log', fileLevel: 'debug' }
+ * }
+ *
+ * Paths are relative to the directory the config file is in.
+ */
+class Config_Helper {
+	/**
+	 * Look for a config file in a directory.
+	 *
+	 * @param {String} dir - The directory to search
+	 * @returns {String} The path to the config file, if there is one
+	 */
+	static find(dir = process.cwd()) {
+		return FILES
+			.map(file => path.join(dir, file))
+			.find(file => fs.existsSync(file));
+	}
+
+	/**
+	 * Read a config file, then validate it and fill in the defaults.
+	 *
+	 * @param {String} file - The path to the config file, or the directory containing it
+	 * @returns {Object} The resolved config
+	 */
+	static async load(file = process.cwd()) {
+		if (fs.existsSync(file) && fs.statSync(file).isDirectory()) {
+			const found = this.find(file);
+
+			if (!found) {
+				throw new Error(`No config file found in ${file}, expected one of: ${FILES.join(', ')}`);
+			}
+
+			file = found;
+		}
+
+		file = path.resolve(file);
+
+		if (!fs.existsSync(file)) {
+			throw new Error(`Config file ${file} doesn't exist`);
+		}
+
+		output.debug(`Loading config from ${file}`);
+
+		let config;
+
+		if (path.extname(file) === '.json') {
+			config = fs.readJsonSync(file);
+		} else {
+			// Only config files with a known name are run as code
+			if (!FILES.includes(path.basename(file))) {
+				throw new Error(`Config file ${file} must be JSON, or named one of: ${FILES.join(', ')}`);
+			}
+
+			config = Module.createRequire(file)(`./${path.basename(file)}`);
+
+			if (typeof config === 'function') {
+				config = await config();
+			}
+		}
+
+		return this.resolve(config, path.dirname(file));
+	}
+
+	/**
+	 * Validate a config, and fill in the defaults.
+	 *
+	 * @param {Object} config - The config to resolve
+	 * @param {String} dir - The directory relative paths in the config are resolved from
+	 * @returns {Object} The resolved config
+	 */
+	static resolve(config, dir = process.cwd()) {
+		if (!config || typeof config !== 'object') {
+			throw new Error('The config must be an object');
+		}
+
+		const unknown = Object.keys(config).filter(key => !KEYS.includes(key));
+
+		if (unknown.length > 0) {
+			throw new Error(`Unknown config option(s): ${unknown.join(', ')}, valid options are: ${KEYS.join(', ')}`);
+		}
+
+		const
+			root = path.resolve(dir, config.root || '.'),
+			capabilities = config.capabilities || {},
+			platforms = [].concat(config.platforms || Object.keys(capabilities)).map(platform => String(platform).toLowerCase());
+
+		if (platforms.length === 0) {
+			throw new Error('No platforms defined, set platforms or capabilities in the config');
+		}
+
+		const resolved = {
+			root: root,
+			appc: Object.assign({ ti: false, force: false }, config.appc),
+			app: Object.assign({ args: [] }, config.app),
+			platforms: platforms,
+			appium: Object.assign({}, config.appium),
+			capabilities: {},
+			concurrency: config.concurrency || 1,
+			mocha: Object.assign({ dir: 'tests' }, config.mocha),
+			log: Object.assign({ file: 'Reports/ti-appium.log', fileLevel: 'debug' }, config.log)
+		};
+
+		if (resolved.app.dir) {
+			resolved.app.dir = path.resolve(root, resolved.app.dir);
+		}
+
+		resolved.mocha.dir = path.resolve(root, resolved.mocha.dir);
+
+		// A file of false turns off logging to a file
+		if (resolved.log.file) {
+			resolved.log.file = path.resolve(root, resolved.log.file);
+		}
+
+		platforms.forEach(platform => {
+			if (!PLATFORMS[platform]) {
+				throw new Error(`Unknown platform '${platform}', valid platforms are: ${Object.keys(PLATFORMS).join(', ')}`);
+			}
+
+			const sets = [].concat(capabilities[platform] || []);
+
+			if (sets.length === 0) {
+				throw new Error(`No capabilities defined for platform '${platform}'`);
+			}
+
+			// Each platform has a list of devices to run against, filling in the platform name if it is missing
+			resolved.capabilities[platform] = sets.map(set => Object.assign({ platformName: PLATFORMS[platform] }, set));
+		});
+
+		return resolved;
+	}
+}
+
+module.exports = Config_Helper;
@@ -0,0 +1,100 @@
+'use strict';
+
+const
+	path = require('path'),
+	fs = require('fs-extra'),
+	output = require('./output.js');
+
+/**
+ * @class Doctor_Helper
+ * @desc
+ * Checks that the machine, and the project described by a config, have what
+ * is needed to build the app and run the tests.
+ */
+class Doctor_Helper {
+	/**
+	 * Run every check relevant to the config.
+	 *
+	 * @param {Object} config - A config resolved by Config_Helper
+	 * @param {Object} opts - Optional arguments
+	 * @param {String[]} opts.platforms - The platforms to check for, defaults to all of those in the config
+	 * @returns {Object[]} The name, outcome and details of each check
+	 */
+	static async check(config, { platforms = config.platforms } = {}) {
+		const checks = [];
+
+		const add = (name, passed, message) => {
+			output.debug(`${passed ? 'Passed' : 'Failed'} check '${name}': ${message}`);
+			checks.push({ name: name, passed: passed, message: message });
+		};
+
+		const major = Number(process.versions.node.split('.')[0]);
+		add('Node.js', major >= 10, `Found version ${process.versions.node}${major >= 10 ? '' : ', version 10 or later is required'}`);
+
+		if (config.app.dir) {
+			const cli = config.appc.ti ? 'ti' : 'appc';
+
+			add(`${cli} CLI`, Boolean(which(cli)), which(cli) || `Couldn't find '${cli}' on the PATH`);
+
+			const tiapp = path.join(config.app.dir, 'tiapp.xml');
+			add('Application', fs.existsSync(tiapp), fs.existsSync(tiapp) ? tiapp : `Couldn't find ${tiapp}`);
+
+			add('SDK', Boolean(config.appc.sdk), config.appc.sdk || 'No SDK set in appc.sdk');
+
+			if (!config.appc.ti) {
+				const missing = [ 'username', 'password', 'organisation' ].filter(key => !config.appc[key]);
+				add('Appcelerator login', missing.length === 0, (missing.length === 0) ? `Logging in as ${config.appc.username}` : `Missing appc.${missing.join(', appc.')}`);
+			}
+		}
+
+		if (platforms.includes('android')) {
+			const home = process.env.ANDROID_SDK_ROOT || process.env.ANDROID_HOME;
+			add('Android SDK', Boolean(home && fs.existsSync(home)), home ? home : 'Neither ANDROID_SDK_ROOT nor ANDROID_HOME are set');
+			add('adb', Boolean(which('adb')), which('adb') || 'Couldn\'t find \'adb\' on the PATH');
+		}
+
+		if (platforms.includes('ios')) {
+			add('macOS', process.platform === 'darwin', (process.platform === 'darwin') ? 'Running on macOS' : `iOS tests need macOS, running on ${process.platform}`);
+			add('Xcode', Boolean(which('xcrun')), which('xcrun') || 'Couldn\'t find \'xcrun\' on the PATH');
+		}
+
+		if (!config.appium.external) {
+			let found;
+
+			try {
+				found = require.resolve('appium');
+			} catch (e) {
+				found = undefined;
+			}
+
+			add('Appium', Boolean(found), found ? path.dirname(found) : 'The appium package isn\'t installed');
+		}
+
+		const tests = await require('./mocha.js').collectTests(config.mocha.dir, config.mocha).catch(() => []);
+		add('Tests', tests.length > 0, (tests.length > 0) ? `Found ${tests.length} test file(s) in ${config.mocha.dir}` : `No tests found in ${config.mocha.dir}`);
+
+		return checks;
+	}
+}
+
+/**
+ * Find an executable on the PATH.
+ * @private
+ *
+ * @param {String} command - The name of the executable
+ */
+function which(command) {
+	const extensions = (process.platform === 'win32') ? (process.env.PATHEXT || '.EXE;.CMD;.BAT').split(';') : [ '' ];
+
+	for (const dir of (process.env.PATH || '').split(path.delimiter)) {
+		for (const ext of extensions) {
+			const file = path.join(dir, `${command}${ext}`);
+
+			if (dir && fs.existsSync(file) && fs.statSync(file).isFile()) {
+				return file;
+			}
+		}
+	}
+}
+
+module.exports = Doctor_Helper;
@@ -0,0 +1,326 @@
+'use strict';
+
+const PNG = require('pngjs').PNG;
+
+/**
+ * @class Image_Helper
+ * @desc
+ * Works on decoded screenshots in memory, getting them into the same shape as
+ * their reference image before they are compared.
+ */
+class Image_Helper {
+	/**
+	 * Decode a PNG.
+	 *
+	 * @param {String|Buffer} data - A base64 encoded string, or a buffer, of the PNG
+	 * @returns {PNG} The decoded image
+	 */
+	static decode(data) {
+		return PNG.sync.read(Buffer.isBuffer(data) ? data : Buffer.from(data, 'base64'));
+	}
+
+	/**
+	 * Encode an image as a PNG.
+	 *
+	 * @param {PNG} img - The decoded image
+	 * @returns {Buffer} The PNG file contents
+	 */
+	static encode(img) {
+		return PNG.sync.write(img);
+	}
+
+	/**
+	 * Run a screenshot through the pipeline: turn it to match the device
+	 * orientation, crop it down to the area being tested, then scale it.
+	 *
+	 * @param {PNG} img - The decoded screenshot
+	 * @param {Object} opts - Optional arguments
+	 * @param {String} opts.orientation - The orientation of the device, either 'PORTRAIT' or 'LANDSCAPE'
+	 * @param {Object} opts.crop - The area to keep, as { left, top, width, height }
+	 * @param {Object} opts.size - The width and height to scale the result to, only applied when the aspect ratios match
+	 * @returns {PNG} The new image
+	 */
+	static prepare(img, { orientation, crop, size } = {}) {
+		if (orientation) {
+			img = this.orient(img, orientation);
+		}
+
+		if (crop) {
+			img = this.crop(img, crop);
+		}
+
+		// Only normalise the scale, so a different shape of screen still fails the comparison
+		if (size && (size.width !== img.width || size.height !== img.height) && Math.abs((img.width / img.height) - (size.width / size.height)) < 0.01) {
+			img = this.scale(img, size.width, size.height);
+		}
+
+		return img;
+	}
+
+	/**
+	 * Rotate a screenshot that came back in the natural orientation of the
+	 * display, so it matches the orientation the device is being held in.
+	 *
+	 * @param {PNG} img - The decoded screenshot
+	 * @param {String} orientation - The orientation of the device, either 'PORTRAIT' or 'LANDSCAPE'
+	 * @returns {PNG} The image, rotated if it didn't match
+	 */
+	static orient(img, orientation) {
+		const landscape = img.width > img.height;
+
+		switch (String(orientation).toUpperCase()) {
+			case 'LANDSCAPE':
+				return landscape ? img : this.rotate(img, 270);
+
+			case 'PORTRAIT':
+				return landscape ? this.rotate(img, 90) : img;
+
+			default:
+				return img;
+		}
+	}
+
+	/**
+	 * Cut an area out of an image. The area is clamped to the image, and any
+	 * missing edge defaults to the edge of the image.
+	 *
+	 * @param {PNG} img - The decoded image
+	 * @param {Object} area - The area to keep
+	 * @param {Int} area.left - The left edge of the area
+	 * @param {Int} area.top - The top edge of the area
+	 * @param {Int} area.width - The width of the area
+	 * @param {Int} area.height - The height of the area
+	 * @returns {PNG} The new image
+	 */
+	static crop(img, { left = 0, top = 0, width, height } = {}) {
+		left = Math.min(Math.max(0, Math.round(left)), img.width - 1);
+		top = Math.min(Math.max(0, Math.round(top)), img.height - 1);
+		width = Math.min(Math.round(width || img.width), img.width - left);
+		height = Math.min(Math.round(height || img.height), img.height - top);
+
+		const cropped = new PNG({ width: width, height: height });
+
+		for (let y = 0; y < height; y++) {
+			const start = (((y + top) * img.width) + left) << 2;
+
+			img.data.copy(cropped.data, (y * width) << 2, start, start + (width << 2));
+		}
+
+		return cropped;
+	}
+
+	/**
+	 * Rotate an image clockwise by a multiple of 90 degrees.
+	 *
+	 * @param {PNG} img - The decoded image
+	 * @param {Int} degrees - The angle to rotate by, either 0, 90, 180 or 270
+	 * @returns {PNG} The new image
+	 */
+	static rotate(img, degrees) {
+		const turns = (((degrees / 90) % 4) + 4) % 4;
+
+		if (!Number.isInteger(turns)) {
+			throw new Error(`Unable to rotate by ${degrees} degrees, only multiples of 90 are supported`);
+		}
+
+		if (turns === 0) {
+			return img;
+		}
+
+		const
+			sideways = turns % 2 === 1,
+			rotated = new PNG({ width: sideways ? img.height : img.width, height: sideways ? img.width : img.height });
+
+		for (let y = 0; y < img.height; y++) {
+			for (let x = 0; x < img.width; x++) {
+				let tx, ty;
+
+				switch (turns) {
+					case 1:
+						tx = img.height - 1 - y;
+						ty = x;
+						break;
+
+					case 2:
+						tx = img.width - 1 - x;
+						ty = img.height - 1 - y;
+						break;
+
+					case 3:
+						tx = y;
+						ty = img.width - 1 - x;
+						break;
+				}
+
+				img.data.copy(rotated.data, ((ty * rotated.width) + tx) << 2, ((y * img.width) + x) << 2, (((y * img.width) + x) << 2) + 4);
+			}
+		}
+
+		return rotated;
+	}
+
+	/**
+	 * Resize an image, averaging the pixels each new pixel covers when
+	 * shrinking, and interpolating between them when growing.
+	 *
+	 * @param {PNG} img - The decoded image
+	 * @param {Int} width - The width of the new image
+	 * @param {Int} height - The height of the new image
+	 * @returns {PNG} The new image
+	 */
+	static scale(img, width, height) {
+		width = Math.max(1, Math.round(width));
+		height = Math.max(1, Math.round(height));
+
+		const
+			scaled = new PNG({ width: width, height: height }),
+			xRatio = img.width / width,
+			yRatio = img.height / height;
+
+		for (let y = 0; y < height; y++) {
+			for (let x = 0; x < width; x++) {
+				const pixel = (xRatio > 1 || yRatio > 1) ? average(img, x * xRatio, y * yRatio, xRatio, yRatio) : interpolate(img, ((x + 0.5) * xRatio) - 0.5, ((y + 0.5) * yRatio) - 0.5);
+
+				for (let c = 0; c < 4; c++) {
+					scaled.data[(((y * width) + x) << 2) + c] = Math.round(pixel[c]);
+				}
+			}
+		}
+
+		return scaled;
+	}
+
+	/**
+	 * Paint over areas of an image with a solid colour.
+	 *
+	 * @param {PNG} img - The decoded image to mask, it is changed in place
+	 * @param {Object[]} regions - The rectangles to paint over
+	 * @returns {PNG} The masked image
+	 */
+	static mask(img, regions) {
+		regions.forEach(region => {
+			const
+				left = Math.max(0, region.x),
+				top = Math.max(0, region.y),
+				right = Math.min(img.width, region.x + region.width),
+				bottom = Math.min(img.height, region.y + region.height);
+
+			for (let y = top; y < bottom; y++) {
+				for (let x = left; x < right; x++) {
+					const idx = ((y * img.width) + x) << 2;
+
+					img.data[idx] = 0;
+					img.data[idx + 1] = 0;
+					img.data[idx + 2] = 0;
+					img.data[idx + 3] = 255;
+				}
+			}
+		});
+
+		return img;
+	}
+
+	/**
+	 * Make a copy of an image.
+	 *
+	 * @param {PNG} img - The decoded image
+	 * @returns {PNG} The copy
+	 */
+	static clone(img) {
+		const copy = new PNG({ width: img.width, height: img.height });
+
+		img.data.copy(copy.data);
+
+		return copy;
+	}
+
+	/**
+	 * Place images next to each other in a single image, from left to right,
+	 * separated by a gap.
+	 *
+	 * @param {PNG[]} images - The decoded images to combine
+	 * @param {Int} gap - The space to leave between each image in pixels
+	 * @returns {PNG} The combined image
+	 */
+	static composite(images, gap = 10) {
+		const
+			width = images.reduce((total, image) => total + image.width, gap * (images.length - 1)),
+			height = Math.max(...images.map(image => image.height)),
+			combined = new PNG({ width: width, height: height });
+
+		// Start from a plain white canvas so the gaps are visible
+		combined.data.fill(255);
+
+		let offset = 0;
+
+		images.forEach(image => {
+			for (let y = 0; y < image.height; y++) {
+				const start = (y * image.width) << 2;
+
+				image.data.copy(combined.data, ((y * width) + offset) << 2, start, start + (image.width << 2));
+			}
+
+			offset += image.width + gap;
+		});
+
+		return combined;
+	}
+}
+
+/**
+ * Average the pixels of an image within a box.
+ * @private
+ *
+ * @param {PNG} img - The decoded image
+ * @param {Decimal} left - The left edge of the box
+ * @param {Decimal} top - The top edge of the box
+ * @param {Decimal} width - The width of the box
+ * @param {Decimal} height - The height of the box
+ */
+function average(img, left, top, width, height) {
+	const
+		x0 = Math.floor(left),
+		y0 = Math.floor(top),
+		x1 = Math.min(img.width, Math.max(x0 + 1, Math.floor(left + width))),
+		y1 = Math.min(img.height, Math.max(y0 + 1, Math.floor(top + height))),
+		sum = [ 0, 0, 0, 0 ];
+
+	for (let y = y0; y < y1; y++) {
+		for (let x = x0; x < x1; x++) {
+			for (let c = 0; c < 4; c++) {
+				sum[c] += img.data[(((y * img.width) + x) << 2) + c];
+			}
+		}
+	}
+
+	return sum.map(value => value / ((x1 - x0) * (y1 - y0)));
+}
+
+/**
+ * Work out the colour at a point between the pixels of an image.
+ * @private
+ *
+ * @param {PNG} img - The decoded image
+ * @param {Decimal} x - The horizontal position of the point
+ * @param {Decimal} y - The vertical position of the point
+ */
+function interpolate(img, x, y) {
+	const
+		x0 = Math.min(img.width - 1, Math.max(0, Math.floor(x))),
+		y0 = Math.min(img.height - 1, Math.max(0, Math.floor(y))),
+		x1 = Math.min(img.width - 1, x0 + 1),
+		y1 = Math.min(img.height - 1, y0 + 1),
+		dx = Math.min(1, Math.max(0, x - x0)),
+		dy = Math.min(1, Math.max(0, y - y0)),
+		at = (px, py, c) => img.data[(((py * img.width) + px) << 2) + c];
+
+	return [ 0, 1, 2, 3 ].map(c => {
+		const
+			topRow = (at(x0, y0, c) * (1 - dx)) + (at(x1, y0, c) * dx),
+			bottomRow = (at(x0, y1, c) * (1 - dx)) + (at(x1, y1, c) * dx);
+
+		return (topRow * (1 - dy)) + (bottomRow * dy);
+	});
+}
+
+module.exports = Image_Helper;
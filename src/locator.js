@@ -0,0 +1,210 @@
+'use strict';
+
+const
+	output = require('./output.js'),
+	uiautomator = require('./uiautomator.js');
+
+// How each locator strategy is searched with on each platform, as the wd
+// strategy and the value to search for
+const STRATEGIES = {
+	id: {
+		iOS: value => [ 'id', value ],
+		Android: value => [ 'accessibility id', value ]
+	},
+	text: {
+		iOS: value => [ '-ios predicate string', Locator_Helper.textPredicate(value) ],
+		Android: value => [ '-android uiautomator', uiautomator.ui().text(String(value)).toString() ]
+	},
+	xpath: {
+		iOS: value => [ 'xpath', value ],
+		Android: value => [ 'xpath', value ]
+	},
+	className: {
+		iOS: value => [ 'class name', value ],
+		Android: value => [ 'class name', value ]
+	},
+	predicate: {
+		iOS: value => [ '-ios predicate string', value ]
+	},
+	classChain: {
+		iOS: value => [ '-ios class chain', value ]
+	},
+	uiautomator: {
+		Android: value => [ '-android uiautomator', String(value) ]
+	}
+};
+
+// The states an element can be required to be in, and how to check them
+const STATES = {
+	present: () => true,
+	visible: element => element.isDisplayed(),
+	enabled: async element => await element.isDisplayed() && await element.isEnabled()
+};
+
+/**
+ * @class Locator_Helper
+ * @desc
+ * Finds elements using locator objects, such as `{ id: 'login' }` or
+ * `{ text: 'Log In' }`, that work the same way on both platforms. A locator
+ * with more than one strategy, or an array of locators, is tried in order
+ * until one of them finds an element.
+ */
+class Locator_Helper {
+	/**
+	 * Build an iOS predicate matching elements by their label or value, which
+	 * is where XCUITest puts the text of an element.
+	 *
+	 * @param {String} text - The text to match
+	 * @param {Object} opts - Optional arguments
+	 * @param {Boolean} opts.caseSensitive - Whether or not the case of the text has to match
+	 * @returns {String} The predicate
+	 */
+	static textPredicate(text, { caseSensitive = true } = {}) {
+		const operator = (caseSensitive) ? '==' : '==[c]';
+
+		return `label ${operator} ${quote(text)} OR value ${operator} ${quote(text)}`;
+	}
+
+	/**
+	 * Turn a locator into the searches to make on a platform, skipping any
+	 * strategies that only apply to the other platform.
+	 *
+	 * @param {Object|Object[]} locator - The locator, or a list of locators to fall back through
+	 * @param {String} platform - Either 'iOS' or 'Android'
+	 * @returns {Object[]} The strategy, wd strategy and value of each search, in order
+	 */
+	static resolve(locator, platform) {
+		const locators = [].concat(locator);
+
+		if (locators.length === 0 || locators.some(x => !x || typeof x !== 'object' || Object.keys(x).length === 0)) {
+			throw new Error(`A locator must be an object with one of: ${Object.keys(STRATEGIES).join(', ')}`);
+		}
+
+		const searches = [];
+
+		locators.forEach(x => {
+			Object.keys(x).forEach(strategy => {
+				if (!STRATEGIES[strategy]) {
+					throw new Error(`Unknown locator strategy '${strategy}', valid strategies are: ${Object.keys(STRATEGIES).join(', ')}`);
+				}
+
+				if (STRATEGIES[strategy][platform]) {
+					const [ using, value ] = STRATEGIES[strategy][platform](x[strategy]);
+
+					searches.push({ strategy: strategy, using: using, value: value });
+				}
+			});
+		});
+
+		if (searches.length === 0) {
+			throw new Error(`None of the locator strategies in ${this.describe(locators)} can be used on ${platform}`);
+		}
+
+		return searches;
+	}
+
+	/**
+	 * Describe a locator for use in messages, e.g. "id 'login' or text 'Log In'".
+	 *
+	 * @param {Object|Object[]} locator - The locator, or a list of locators to fall back through
+	 * @returns {String} The description
+	 */
+	static describe(locator) {
+		const parts = [];
+
+		[].concat(locator).forEach(x => {
+			Object.keys(x).forEach(strategy => parts.push(`${strategy} '${x[strategy]}'`));
+		});
+
+		return parts.join(' or ');
+	}
+
+	/**
+	 * Search for elements matching a locator until one is in the wanted state,
+	 * or the time runs out.
+	 *
+	 * @param {Object} driver - The driver of the session to search in
+	 * @param {Object|Object[]} locator - The locator, or a list of locators to fall back through
+	 * @param {Object} opts - Optional arguments
+	 * @param {Int} opts.timeout - How long to keep searching for, in milliseconds
+	 * @param {String} opts.state - What state the element needs to be in, one of present, visible or enabled
+	 * @param {Int} opts.interval - How long to wait between searches, in milliseconds
+	 * @param {Boolean} opts.all - Whether to return every matching element of the first search to find any
+	 * @returns {Promise<Object|Object[]>} The element, or the elements when all is set
+	 */
+	static async find(driver, locator, { timeout = 1000, state = 'visible', interval = 200, all = false } = {}) {
+		if (!STATES[state]) {
+			throw new Error(`Unknown element state '${state}', valid states are: ${Object.keys(STATES).join(', ')}`);
+		}
+
+		const
+			platform = await driver.getPlatform(),
+			searches = this.resolve(locator, platform),
+			deadline = Date.now() + timeout;
+
+		// Always search at least once, even without a timeout
+		do {
+			for (const search of searches) {
+				const found = await collect(driver, search, state, all);
+
+				if (found.length > 0) {
+					output.trace(`Found ${found.length} ${state} element(s) by ${search.strategy} '${search.value}'`);
+
+					return (all) ? found : found[0];
+				}
+			}
+
+			await new Promise(resolve => setTimeout(resolve, Math.max(0, Math.min(interval, deadline - Date.now()))));
+		} while (Date.now() < deadline);
+
+		if (all) {
+			return [];
+		}
+
+		throw new Error(`Couldn't find ${(state === 'present') ? 'an' : `a ${state}`} element by ${this.describe(locator)} within ${timeout}ms on ${platform}`);
+	}
+}
+
+/**
+ * Make a single search, keeping the elements in the wanted state. Errors are
+ * treated as nothing being found, as elements can go stale between finding
+ * and checking them.
+ * @private
+ *
+ * @param {Object} driver - The driver of the session to search in
+ * @param {Object} search - The wd strategy and value to search with
+ * @param {String} state - What state the elements need to be in
+ * @param {Boolean} all - Whether to check every element, rather than stopping at the first match
+ */
+async function collect(driver, search, state, all) {
+	const found = [];
+
+	try {
+		for (const element of await driver.elements(search.using, search.value)) {
+			if (await STATES[state](element)) {
+				found.push(element);
+
+				if (!all) {
+					break;
+				}
+			}
+		}
+	} catch (err) {
+		output.trace(`Search by ${search.strategy} '${search.value}' failed: ${err.message}`);
+	}
+
+	return found;
+}
+
+/**
+ * Quote a string for use within a predicate, escaping any backslashes and
+ * double quotes within it.
+ * @private
+ *
+ * @param {String} value - The string to quote
+ */
+function quote(value) {
+	return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+module.exports = Locator_Helper;
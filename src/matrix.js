@@ -0,0 +1,263 @@
+'use strict';
+
+const
+	path = require('path'),
+	fs = require('fs-extra'),
+	fork = require('child_process').fork,
+	mocha = require('./mocha.js'),
+	appium = require('./appium.js'),
+	output = require('./output.js'),
+	capabilityHelper = require('./capabilities.js');
+
+/**
+ * @class Matrix_Helper
+ * @desc
+ * Runs the same Mocha suite against a list of devices, one session per set of
+ * capabilities, then collects the outcome of every device into a matrix.
+ */
+class Matrix_Helper {
+	/**
+	 * Run the tests once for each entry in the matrix. Each entry gets its own
+	 * session, which is torn down after its run, and its own report directory
+	 * under `Reports/<entry name>`. With a concurrency above 1, entries are run
+	 * in separate processes against the same Appium server, so any options
+	 * passed to them must be serialisable (e.g. no functions or expressions).
+	 * Rerunning the failures of a previous run (the rerun option) isn't
+	 * supported, as each entry has its own report.
+	 *
+	 * @param {Array} entries - Sets of capabilities, or objects with a name and capabilities
+	 * @param {String} dir - The directory containing the test files
+	 * @param {String} modRoot - The path to the root of the project being tested
+	 * @param {Object} opts - Optional arguments, also passed on to the test runs
+	 * @param {Int} opts.concurrency - How many entries to run at the same time
+	 * @param {Boolean} opts.softStop - Whether or not to leave the app on the device when stopping
+	 * @param {Object} opts.server - The Appium server to connect to, defaults to the one started by runAppium
+	 * @returns {Promise<Object>} Whether every entry passed, the counts of entries, and the outcome of each
+	 */
+	static async run(entries, dir, modRoot, opts = {}) {
+		// Each entry writes its own reports, so a single report can't say which tests to rerun for all of them
+		if (opts.rerun) {
+			throw new Error('Rerunning failed tests isn\'t supported for a matrix run, rerun the report of a single entry with test() instead');
+		}
+
+		const
+			concurrency = Math.max(1, opts.concurrency || 1),
+			server = opts.server || appium.getServer(),
+			testOpts = Object.assign({}, opts);
+
+		[ 'concurrency', 'softStop', 'server' ].forEach(key => delete testOpts[key]);
+
+		const matrix = normalise(entries, concurrency > 1);
+
+		output.debug(`Running ${matrix.length} matrix entries, ${concurrency} at a time`);
+
+		const
+			queue = matrix.slice(),
+			results = [];
+
+		// Each lane takes the next entry from the queue until it runs dry
+		const lanes = Array.from({ length: Math.min(concurrency, matrix.length) }, async () => {
+			while (queue.length > 0) {
+				const
+					entry = queue.shift(),
+					args = {
+						entry: entry,
+						dir: dir,
+						modRoot: modRoot,
+						server: server,
+						softStop: opts.softStop || false,
+						opts: Object.assign({}, testOpts, { outDir: path.join(modRoot, 'Reports', entry.name) })
+					};
+
+				results[entry.index] = (concurrency > 1) ? await inWorker(args) : await runEntry(args);
+			}
+		});
+
+		await Promise.all(lanes);
+
+		const summary = {
+			passed: results.every(result => result.state === 'passed'),
+			stats: {
+				entries: results.length,
+				passed: results.filter(result => result.state === 'passed').length,
+				failed: results.filter(result => result.state === 'failed').length,
+				errored: results.filter(result => result.state === 'error').length
+			},
+			entries: results
+		};
+
+		summary.file = path.join(modRoot, 'Reports', 'matrix.json');
+		fs.outputJsonSync(summary.file, summary, { spaces: 2 });
+
+		print(summary);
+
+		return summary;
+	}
+}
+
+/**
+ * Give every entry of the matrix a unique name, and ports of its own when
+ * running sessions side by side.
+ * @private
+ *
+ * @param {Array} entries - Sets of capabilities, or objects with a name and capabilities
+ * @param {Boolean} parallel - Whether the entries will run at the same time
+ */
+function normalise(entries, parallel) {
+	if (!Array.isArray(entries) || entries.length === 0) {
+		throw new Error('The matrix needs at least one set of capabilities');
+	}
+
+	const names = new Set();
+
+	return entries.map((entry, index) => {
+		const capabilities = capabilityHelper.expand(entry.capabilities || entry);
+
+		let name = (entry.capabilities && entry.name) || [ capabilities.platformName, capabilities.platformVersion, capabilities.deviceName ].filter(Boolean).join('_');
+
+		name = String(name || `entry_${index + 1}`).replace(/[^\w.-]+/g, '_');
+
+		// Two entries for the same device still need their own reports
+		while (names.has(name)) {
+			name = `${name}_${index + 1}`;
+		}
+
+		names.add(name);
+
+		// Sessions on the same server can't share the ports used to talk to the device
+		if (parallel) {
+			if (capabilities.platformName === 'Android' && !capabilities.systemPort) {
+				capabilities.systemPort = 8200 + index;
+			}
+
+			if (capabilities.platformName === 'iOS' && !capabilities.wdaLocalPort) {
+				capabilities.wdaLocalPort = 8100 + index;
+			}
+		}
+
+		return {
+			index: index,
+			name: name,
+			capabilities: capabilities
+		};
+	});
+}
+
+/**
+ * Start a session for an entry, run the tests in it, and tear it down again.
+ * @private
+ *
+ * @param {Object} args - The entry, and how to run it
+ */
+async function runEntry({ entry, dir, modRoot, server, softStop, opts }) {
+	const result = {
+		name: entry.name,
+		capabilities: entry.capabilities,
+		reportDir: opts.outDir,
+		state: 'error',
+		stats: undefined,
+		reports: {},
+		error: undefined
+	};
+
+	output.banner(`Running matrix entry '${entry.name}'`);
+
+	let started = false;
+
+	try {
+		await appium.startClient(entry.capabilities, { name: entry.name, server: server });
+		started = true;
+
+		const tests = await mocha.collectTests(dir, opts);
+
+		if (tests.length === 0) {
+			throw Error('No Tests Found!');
+		}
+
+		const run = await mocha.run(tests, modRoot, Object.assign({}, opts, { legacy: false }));
+
+		result.stats = run.stats;
+		result.reports = run.reports;
+		result.state = (run.stats.failures > 0) ? 'failed' : 'passed';
+	} catch (err) {
+		output.error(`Matrix entry '${entry.name}' couldn't be run: ${err.message}`);
+		result.error = err.message;
+	} finally {
+		if (started) {
+			try {
+				await appium.stopClient(softStop, { name: entry.name });
+			} catch (err) {
+				output.warn(`Couldn't stop the session for '${entry.name}': ${err.message}`);
+			}
+		}
+	}
+
+	return result;
+}
+
+/**
+ * Run an entry in a separate process, so its session and globals can't clash
+ * with the other entries running at the same time.
+ * @private
+ *
+ * @param {Object} args - The entry, and how to run it
+ */
+function inWorker(args) {
+	return new Promise(resolve => {
+		const worker = fork(__filename, [], { env: Object.assign({}, process.env, { TI_APPIUM_MATRIX_WORKER: 'true' }) });
+
+		let result;
+
+		worker.on('message', message => {
+			// Bring the steps the worker took into the timeline of this run
+			(message.timeline || []).forEach(step => output.record(step));
+			delete message.timeline;
+
+			result = message;
+		});
+
+		worker.on('exit', code => {
+			resolve(result || {
+				name: args.entry.name,
+				capabilities: args.entry.capabilities,
+				reportDir: args.opts.outDir,
+				state: 'error',
+				reports: {},
+				error: `Worker exited with code ${code} before reporting back`
+			});
+		});
+
+		worker.send(args);
+	});
+}
+
+/**
+ * Write the matrix out to the console, one line per entry.
+ * @private
+ *
+ * @param {Object} summary - The outcome of the matrix run
+ */
+function print(summary) {
+	output.banner(`Device Matrix: ${summary.stats.passed}/${summary.stats.entries} passed`);
+
+	summary.entries.forEach(result => {
+		const counts = (result.stats) ? `${result.stats.passes} passed, ${result.stats.failures} failed, ${result.stats.pending} pending` : result.error;
+
+		if (result.state === 'passed') {
+			output.info(`PASS  ${result.name}: ${counts}`);
+		} else {
+			output.error(`${(result.state === 'failed') ? 'FAIL ' : 'ERROR'} ${result.name}: ${counts}`);
+		}
+	});
+}
+
+// When forked by inWorker, run the entry we're sent then report back
+if (require.main === module && process.env.TI_APPIUM_MATRIX_WORKER) {
+	process.once('message', async args => {
+		const result = await runEntry(args);
+
+		process.send(Object.assign({ timeline: output.timeline() }, result), () => process.exit(0));
+	});
+}
+
+module.exports = Matrix_Helper;
@@ -4,6 +4,8 @@ const
 	path = require('path'),
 	fs = require('fs-extra'),
 	Mocha = require('mocha'),
+	minimatch = require('minimatch'),
+	report = require('./report.js'),
 	output = require('./output.js');
 
 /**
@@ -13,12 +15,17 @@ const
  */
 class Mocha_Helper {
 	/**
-	 * Goes through the passed directory, and extracts any tests that match the
-	 * regular expression.
+	 * Goes through the passed directory and its sub-directories, and extracts
+	 * any test files that match the include patterns without matching any of
+	 * the exclude patterns.
 	 *
 	 * @param {String} dir - The directory to search
+	 * @param {Object} opts - Optional Arguments
+	 * @param {String[]} opts.include - Glob patterns, relative to dir, of files to run
+	 * @param {String[]} opts.exclude - Glob patterns, relative to dir, of files to ignore
+	 * @param {Boolean} opts.recursive - Whether or not to search sub-directories
 	 */
-	static collectTests(dir) {
+	static collectTests(dir, { include = [ '**/*.test.js' ], exclude = [ '**/node_modules/**' ], recursive = true } = {}) {
 		return new Promise((resolve, reject) => {
 			output.debug('Fetching test files');
 			// Our container for all the test files to be run
@@ -27,18 +34,22 @@ class Mocha_Helper {
 			try {
 				output.debug(`Searching in ${dir} for tests`);
 				// Iterate through each file within the test directory
-				fs.readdirSync(dir).forEach(file => {
-					// Only use actual test files, ignore everything else
-					if (file.match(/.+\.test\.js/g)) {
-						let filePath = path.join(dir, file);
+				walk(dir, recursive).forEach(file => {
+					// Globs always use forward slashes, regardless of the platform
+					const relative = file.split(path.sep).join('/');
 
-						tests.push(filePath);
+					// Only use actual test files, ignore everything else
+					if (include.some(glob => minimatch(relative, glob)) && !exclude.some(glob => minimatch(relative, glob))) {
+						tests.push(path.join(dir, file));
 					}
 				});
 			} catch (err) {
-				reject(err);
+				return reject(err);
 			}
 
+			// If tests are numbered, ensure they're executed in the correct order
+			tests.sort(collator.compare);
+
 			output.debug(`Found ${tests.length} test file(s)`);
 
 			return resolve(tests);
@@ -46,18 +57,36 @@ class Mocha_Helper {
 	}
 
 	/**
-	 * Runs through the Mocha tests outlined in device_config.js
+	 * Runs through the Mocha tests outlined in device_config.js, then writes
+	 * the results out with each of the requested reporters.
 	 *
 	 * @param {Array} testFiles - An array of test files for Mocha to run
 	 * @param {String} modRoot - The path to the root of the project being tested
 	 * @param {Object}  opts - Optional Arguments
 	 * @param {Int} opts.timeout  - Timeout threshold for Mocha tests
 	 * @param {Int} opts.slow - Slow threshold for Mocha tests
+	 * @param {String|RegExp} opts.grep - Only run tests with a matching title
+	 * @param {String[]} opts.tags - Only run tests tagged with one of these (e.g. '@smoke')
+	 * @param {String[]} opts.excludeTags - Don't run tests tagged with any of these
+	 * @param {Array} opts.titles - Only run tests with one of these full titles, or matching one of these expressions
+	 * @param {Array} opts.reporters - Reporters to write results with, e.g. [ 'junit', 'json', 'html' ]
+	 * @param {String} opts.consoleReporter - The Mocha reporter used for console output
+	 * @param {Boolean} opts.legacy - Whether or not to resolve with the results array used by earlier versions
+	 * @param {Object|Int} opts.retry - The retry policy for failed tests, or just the retry count
+	 * @param {Int} opts.retry.count - How many times to retry a failed test
+	 * @param {Array} opts.retry.retryable - Strings, expressions or functions matching errors worth retrying, defaults to WebDriver timeouts and waitForElement failures
+	 * @param {Object|Boolean} opts.artifacts - Whether or not to save the device state when a test fails
+	 * @param {Boolean} opts.artifacts.screenshot - Whether or not to save a screenshot
+	 * @param {Boolean} opts.artifacts.source - Whether or not to save the page source XML
+	 * @param {Boolean} opts.artifacts.log - Whether or not to save the device log
+	 * @param {String} opts.outDir - The directory to write the reports to, defaults to the Reports directory of the project
+	 * @returns {Promise<RunResults>} The structured results of the run
 	 */
-	static run(testFiles, modRoot, { timeout = 60000, slow = 30000 } = {}) {
+	static run(testFiles, modRoot, { timeout = 60000, slow = 30000, grep = undefined, tags = [], excludeTags = [], titles = [], reporters = [ 'junit' ], consoleReporter = 'spec', legacy = false, retry = 0, artifacts = false, outDir = path.join(modRoot, 'Reports') } = {}) {
 		return new Promise((resolve, reject) => {
 			// Have to clear cache so that Mocha will run the same tests twice, solution taken from here https://github.com/mochajs/mocha/issues/995#issuecomment-261752316
-			Object.keys(require.cache).forEach((file) => {
+			// Our own modules are kept, so tests share the sessions, log sinks and secrets already set up
+			Object.keys(require.cache).filter(file => !isOwnModule(file)).forEach((file) => {
 				delete require.cache[file];
 			});
 
@@ -66,15 +95,9 @@ class Mocha_Helper {
 				moment = require('moment-timezone'),
 				time = moment().format('DD-MM-YY_HH꞉mm:ss');
 
-			// Create the labels
-			const
-				outDir = path.join(modRoot, 'Reports'),
-				outFile = path.join(outDir, `${time}.xml`);
-
-			// Make sure our result location exists
-			fs.ensureFileSync(outFile);
+			output.debug(`Putting results in ${outDir} labelled ${time}`);
 
-			output.debug(`Putting Jenkins results in ${time}.xml`);
+			const policy = Object.assign({ count: 0, retryable: RETRYABLE }, (typeof retry === 'number') ? { count: retry } : retry);
 
 			// Create the new Mocha instance
 			let mocha = new Mocha({
@@ -82,20 +105,19 @@ class Mocha_Helper {
 				useColors: true,
 				timeout: timeout,
 				slow: slow,
-				reporter: 'mocha-jenkins-reporter',
-				reporterOptions: {
-					junit_report_name: time,
-					junit_report_path: outFile,
-					junit_report_stack: 1
-				}
+				retries: policy.count || 0,
+				reporter: consoleReporter
 			});
 
-			// If tests are numbered, ensure they're executed in the correct order
-			let collator = new Intl.Collator(undefined, {
-				numeric: true,
-				sensitivity: 'base'
-			});
+			// Only run the tests with titles that match the filters
+			const filter = this.buildGrep(grep, tags, excludeTags, titles);
 
+			if (filter) {
+				output.debug(`Filtering tests with ${filter}`);
+				mocha.grep(filter);
+			}
+
+			// If tests are numbered, ensure they're executed in the correct order
 			testFiles.sort(collator.compare);
 
 			// Add all of the test files one by one
@@ -103,81 +125,103 @@ class Mocha_Helper {
 				mocha.addFile(file);
 			});
 
-			let tests = [];
+			const results = {
+				label: time,
+				start: new Date().toISOString(),
+				end: undefined,
+				duration: 0,
+				stats: {},
+				tests: [],
+				reports: {}
+			};
+
+			// The errors from failed attempts, kept until the test finally ends
+			const attempts = new Map();
+
+			// The device state captured for each failed test, kept until the test ends
+			const captured = new Map();
 
 			output.debug('Handing off to Mocha for testing');
 
 			// Run the supplied test files
 			try {
-				mocha.run(() => {
+				const runner = mocha.run(async () => {
 					output.debug('Tests complete, exiting Mocha');
 
-					resolve(tests);
-				})
+					results.end = new Date().toISOString();
+					results.duration = new Date(results.end) - new Date(results.start);
+					results.stats = summarise(results.tests);
+
+					try {
+						results.reports = await report.write(results, reporters, outDir);
+					} catch (err) {
+						return reject(err);
+					}
+
+					resolve((legacy) ? toLegacy(results) : results);
+				});
+
+				// Mocha retries on any failure, so give up on a test early when its error isn't covered by the policy
+				const runTest = runner.runTest;
+
+				runner.runTest = function (fn) {
+					return runTest.call(this, err => {
+						const test = this.test;
+
+						if (err && test && !isRetryable(err, policy.retryable)) {
+							test.retries(test.currentRetry());
+						}
+
+						// Capture the device state of a test that won't be retried, before any afterEach hooks get to change it
+						if (err && test && artifacts && global.driver && test.currentRetry() >= test.retries()) {
+							const testDir = path.join(outDir, time, `${path.basename(test.file || '', '.js')}_${test.title}`.replace(/[^\w.-]+/g, '_').substring(0, 100));
+
+							output.debug(`Capturing the device state for '${test.title}' in ${testDir}`);
+
+							return captureArtifacts(global.driver, testDir, artifacts)
+								.then(attachments => captured.set(test, attachments))
+								.catch(captureErr => output.debug(`Unable to capture the device state after failure: ${captureErr.message}`))
+								.then(() => fn(err));
+						}
+
+						fn(err);
+					});
+				};
+
+				runner
+					.on('retry', (data, err) => {
+						const key = `${data.file}:${data.fullTitle()}`;
+
+						output.debug(`Retrying '${data.title}' after attempt ${data.currentRetry() + 1} failed`);
+
+						attempts.set(key, (attempts.get(key) || []).concat(serialiseError(err)));
+					})
 					.on('test end', data => {
-						try {
-							// Attempt to pull the name of the ticket using the file path of the test
-							let
-								test,
-								fileName = path.basename(data.file),
-								index = tests.indexOf(tests.find(x => x.fileName === fileName));
-
-							if (data.pending === true) {
-								// Check if the ticket is already in the array
-								if (index >= 0) {
-									// Add the skip message onto the object
-									tests[index].errors.push(data.title.replace(/\\/g, '').replace(/"/g, '\'').replace(/\n/, ''));
-								} else {
-									// If a ticket object isn't already in the array, create it
-									test = {
-										state: 3,
-										name: data.title,
-										fileName: fileName,
-										errors: [ data.title.replace(/\\/g, '').replace(/"/g, '\'').replace(/\n/, '') ]
-									};
-								}
-							} else if (data.state === 'passed') {
-								// Check if the ticket is already in the array
-								if (index >= 0) {
-									// Change the state of the test to a pass if it was previously skipped
-									if (tests[index].state === 3) {
-										tests[index].state = 1;
-									}
-								} else {
-									// Create a new ticket object if one doesn't exist
-									test = {
-										state: 1,
-										name: data.title,
-										fileName: fileName,
-										errors: []
-									};
-								}
-							} else if (data.state === 'failed') {
-								// Create a message to be attatched to the ticket
-								let failMessage = `[TEST STEP] ${data.title.replace(/"/g, '\'')}\\n[RESULT] ${data.err.message.replace(/\\/g, '').replace(/"/g, '\'').replace(/\n/, '')}`;
-								// Check if the ticket is already in the array
-								if (index >= 0) {
-									// Change the state of the test to a failure
-									tests[index].state = 2;
-									// Add the error into the array
-									tests[index].errors.push(failMessage);
-								} else {
-									// Create a new ticket object if one doesn't exist
-									test = {
-										state: 2,
-										name: data.title,
-										fileName: fileName,
-										errors: [ failMessage ]
-									};
-								}
-							}
-
-							if (test) {
-								tests.push(test);
-							}
-
-						} catch (err) {
-							output.debug(err);
+						const
+							key = `${data.file}:${data.fullTitle()}`,
+							result = toResult(data, (data.pending) ? 'pending' : data.state, data.err, attempts.get(key));
+
+						results.tests.push(result);
+
+						attempts.delete(key);
+
+						output.record({
+							name: result.fullTitle,
+							category: 'test',
+							start: new Date(Date.now() - result.duration).toISOString(),
+							end: new Date().toISOString(),
+							outcome: result.state
+						});
+
+						if (captured.has(data)) {
+							result.attachments = result.attachments.concat(captured.get(data));
+							captured.delete(data);
+						}
+					})
+					.on('fail', (data, err) => {
+						// Failed hooks don't trigger a test end, so record them separately
+						if (data.type === 'hook') {
+							results.tests.push(toResult(data, 'failed', err));
 						}
 					});
 			} catch (err) {
@@ -185,6 +229,394 @@ class Mocha_Helper {
 			}
 		});
 	}
+
+	/**
+	 * Run only the tests that failed in a previous run, using the JUnit or
+	 * JSON report it wrote, then write out a merged report combining the
+	 * original run with the rerun.
+	 *
+	 * @param {String} reportFile - The path to the JUnit or JSON report of the previous run
+	 * @param {Array} testFiles - An array of test files to pick the failed tests from
+	 * @param {String} modRoot - The path to the root of the project being tested
+	 * @param {Object} opts - Optional Arguments, as accepted by run
+	 * @returns {Promise<RunResults>} The merged results of both runs
+	 */
+	static async rerun(reportFile, testFiles, modRoot, opts = {}) {
+		output.debug(`Loading previous results from ${reportFile}`);
+
+		const
+			previous = report.load(reportFile),
+			failed = previous.tests.filter(test => test.state === 'failed');
+
+		if (failed.length === 0) {
+			output.info(`No failed tests found in ${path.basename(reportFile)}, nothing to rerun`);
+
+			return previous;
+		}
+
+		// Hooks of the root suite run around every test, whichever file they come from
+		const rootHook = failed.some(test => test.type === 'hook' && !test.suite);
+
+		// Only load the files the failures came from, if the report knows where they were
+		const
+			failedFiles = failed.map(test => test.file).filter(file => file).map(file => path.basename(file)),
+			files = (!rootHook && failedFiles.length === failed.length) ? testFiles.filter(file => failedFiles.includes(path.basename(file))) : testFiles;
+
+		// A failed hook takes down its whole suite, so rerun everything within it
+		const titles = (rootHook) ? [] : failed.map(test => {
+			if (test.type === 'hook') {
+				return new RegExp(`^${escape(test.suite)} `);
+			}
+
+			return test.fullTitle;
+		});
+
+		output.debug(`Rerunning ${failed.length} failed test(s) from ${files.length} file(s)`);
+
+		const rerun = await this.run(files, modRoot, Object.assign({}, opts, { titles: titles, legacy: false }));
+
+		const merged = merge(previous, rerun);
+
+		merged.reports = await report.write(merged, opts.reporters || [ 'junit' ], opts.outDir || path.join(modRoot, 'Reports'));
+
+		return (opts.legacy) ? toLegacy(merged) : merged;
+	}
+
+	/**
+	 * Combine a title filter, a set of tags and a list of titles into a single
+	 * expression for Mocha to match the full titles of tests against.
+	 *
+	 * @param {String|RegExp} grep - A title filter, strings are matched literally
+	 * @param {String[]} tags - Tags of which a test must have at least one
+	 * @param {String[]} excludeTags - Tags of which a test must have none
+	 * @param {Array} titles - Full titles, or expressions, of which a test must match one
+	 * @returns {RegExp} The expression, or nothing if there is nothing to filter by
+	 */
+	static buildGrep(grep, tags = [], excludeTags = [], titles = []) {
+		let expression = '';
+
+		if (grep) {
+			expression += `(?=.*(?:${(grep instanceof RegExp) ? grep.source : escape(grep)}))`;
+		}
+
+		if (tags.length > 0) {
+			expression += `(?=.*${tagExpression(tags)})`;
+		}
+
+		if (excludeTags.length > 0) {
+			expression += `(?!.*${tagExpression(excludeTags)})`;
+		}
+
+		if (titles.length > 0) {
+			const alternatives = titles.map(title => {
+				return (title instanceof RegExp) ? title.source : `${escape(title)}$`;
+			});
+
+			expression += `(?=${alternatives.join('|')})`;
+		}
+
+		return (expression) ? new RegExp(`^${expression}`) : undefined;
+	}
+}
+
+/**
+ * Used to sort test files in natural order, so numbered tests run in sequence.
+ * @private
+ */
+const collator = new Intl.Collator(undefined, {
+	numeric: true,
+	sensitivity: 'base'
+});
+
+/**
+ * Check whether a file is one of the modules of this package, rather than a
+ * test or one of the dependencies.
+ * @private
+ *
+ * @param {String} file - The path of the module
+ */
+function isOwnModule(file) {
+	const relative = path.relative(path.join(__dirname, '..'), file);
+
+	return !relative.startsWith('..') && !path.isAbsolute(relative) && !relative.split(path.sep).includes('node_modules');
+}
+
+/**
+ * List all the files within a directory, relative to that directory.
+ * @private
+ *
+ * @param {String} dir - The directory to search
+ * @param {Boolean} recursive - Whether or not to search sub-directories
+ * @param {String} sub - The sub-directory currently being searched
+ */
+function walk(dir, recursive, sub = '') {
+	let files = [];
+
+	fs.readdirSync(path.join(dir, sub)).forEach(file => {
+		const
+			relative = path.join(sub, file),
+			stats = fs.statSync(path.join(dir, relative));
+
+		if (stats.isDirectory()) {
+			if (recursive) {
+				files = files.concat(walk(dir, recursive, relative));
+			}
+		} else {
+			files.push(relative);
+		}
+	});
+
+	return files;
+}
+
+/**
+ * Build an expression matching any of the tags as a whole word, so '@smoke'
+ * doesn't also match '@smoke-extended'.
+ * @private
+ *
+ * @param {String[]} tags - The tags to match
+ */
+function tagExpression(tags) {
+	return `(?:^|\\s)(?:${tags.map(escape).join('|')})(?=\\s|$)`;
+}
+
+/**
+ * Escape a string so it is matched literally within a regular expression.
+ * @private
+ *
+ * @param {String} str - The string to escape
+ */
+function escape(str) {
+	return str.replace(/[-[\]{}()*+?.,\\/^$|#\s]/g, '\\$&');
+}
+
+/**
+ * Count up the outcomes of a set of test results.
+ * @private
+ *
+ * @param {TestResult[]} tests - The test results to count
+ */
+function summarise(tests) {
+	return {
+		tests: tests.length,
+		passes: tests.filter(test => test.state === 'passed').length,
+		failures: tests.filter(test => test.state === 'failed').length,
+		pending: tests.filter(test => test.state === 'pending').length,
+		flaky: tests.filter(test => test.flaky).length
+	};
+}
+
+/**
+ * Combine the results of a run with the results of rerunning its failures,
+ * where the outcome of a rerun test replaces its original outcome.
+ * @private
+ *
+ * @param {RunResults} previous - The results of the original run
+ * @param {RunResults} rerun - The results of the rerun
+ */
+function merge(previous, rerun) {
+	const
+		same = (a, b) => a.fullTitle === b.fullTitle && (!a.file || !b.file || path.basename(a.file) === path.basename(b.file)),
+		remaining = rerun.tests.slice();
+
+	const tests = previous.tests.map(test => {
+		const index = remaining.findIndex(x => same(x, test));
+
+		// Leave anything that wasn't rerun as it was
+		if (index < 0) {
+			return test;
+		}
+
+		return Object.assign({ rerun: true }, remaining.splice(index, 1)[0]);
+	}).filter(test => {
+		// Drop any failed hooks where the rerun got further than the hook, a root suite hook covers every test
+		return !(test.type === 'hook' && !test.rerun && rerun.tests.some(x => !test.suite || x.suite === test.suite));
+	});
+
+	return {
+		label: `${rerun.label}_merged`,
+		start: previous.start,
+		end: rerun.end,
+		duration: (previous.duration || 0) + rerun.duration,
+		stats: summarise(tests.concat(remaining)),
+		tests: tests.concat(remaining.map(test => Object.assign({ rerun: true }, test))),
+		reports: {}
+	};
+}
+
+/**
+ * Turn a Mocha runnable into a structured test result.
+ * @private
+ *
+ * @param {Object} runnable - The Mocha test or hook
+ * @param {String} state - The outcome of the runnable
+ * @param {Error} err - The error the runnable failed with, if any
+ * @param {Object[]} retries - The errors from any earlier failed attempts
+ */
+function toResult(runnable, state, err, retries = []) {
+	const attempts = runnable.currentRetry() + 1;
+
+	return {
+		type: runnable.type,
+		title: runnable.title,
+		fullTitle: runnable.fullTitle(),
+		suite: (runnable.parent) ? runnable.parent.fullTitle() : '',
+		file: runnable.file,
+		state: state,
+		duration: runnable.duration || 0,
+		attempts: attempts,
+		flaky: (state === 'passed' && attempts > 1),
+		error: (state === 'failed' && err) ? serialiseError(err) : undefined,
+		retries: retries,
+		attachments: []
+	};
+}
+
+/**
+ * Pull out the details of an error worth keeping in the results.
+ * @private
+ *
+ * @param {Error} err - The error to serialise
+ */
+function serialiseError(err) {
+	return {
+		name: err.name || 'Error',
+		message: err.message || String(err),
+		stack: err.stack,
+		actual: err.actual,
+		expected: err.expected
+	};
+}
+
+/**
+ * Save the state of the device after a test has failed, skipping over anything
+ * that can't be captured so a broken session doesn't hide the test failure.
+ * @private
+ *
+ * @param {Object} driver - The driver of the session the test ran against
+ * @param {String} dir - The directory to save the artifacts in
+ * @param {Object|Boolean} opts - Which artifacts to capture, true for all of them
+ */
+async function captureArtifacts(driver, dir, opts) {
+	const
+		attachments = [],
+		wanted = (opts === true) ? { screenshot: true, source: true, log: true } : opts;
+
+	const artifacts = [
+		{ type: 'screenshot', file: 'screenshot.png', capture: async () => Buffer.from(await driver.takeScreenshot(), 'base64') },
+		{ type: 'source', file: 'source.xml', capture: () => driver.source() },
+		{ type: 'log', file: 'device.log', capture: async () => (await driver.getLog()).join('\n') }
+	];
+
+	fs.ensureDirSync(dir);
+
+	for (const artifact of artifacts.filter(x => wanted[x.type])) {
+		let timer;
+
+		try {
+			const filePath = path.join(dir, artifact.file);
+
+			// Don't let an unresponsive session hang the test run
+			const data = await Promise.race([
+				artifact.capture(),
+				new Promise((resolve, reject) => {
+					timer = setTimeout(() => reject(Error('Timed out')), 30000);
+				})
+			]);
+
+			fs.writeFileSync(filePath, data);
+
+			attachments.push({ name: artifact.file, type: artifact.type, path: filePath });
+		} catch (err) {
+			output.debug(`Unable to capture the ${artifact.type} after failure: ${err.message}`);
+		} finally {
+			clearTimeout(timer);
+		}
+	}
+
+	return attachments;
+}
+
+/**
+ * Check whether an error is worth retrying the test for.
+ * @private
+ *
+ * @param {Error} err - The error the test failed with
+ * @param {Array} retryable - Strings, expressions or functions matching errors worth retrying
+ */
+function isRetryable(err, retryable) {
+	const description = `${err.name}: ${err.message}`;
+
+	return retryable.some(matcher => {
+		if (typeof matcher === 'function') {
+			return matcher(err);
+		} else if (matcher instanceof RegExp) {
+			return matcher.test(description);
+		} else {
+			return description.includes(matcher);
+		}
+	});
+}
+
+/**
+ * The errors considered retryable when a policy doesn't define its own, which
+ * are WebDriver timeouts and failed waitForElement lookups.
+ * @private
+ */
+const RETRYABLE = [
+	/waitForElement/,
+	/Element condition wasn't satisfied/,
+	/TimeoutError|timed? ?out|ETIMEDOUT|ESOCKETTIMEDOUT/i
+];
+
+/**
+ * Convert structured results back into the array returned by earlier versions,
+ * where each file is collapsed into a ticket with a numeric state of 1 for a
+ * pass, 2 for a failure or 3 for a skip.
+ * @private
+ *
+ * @param {RunResults} results - The structured results of the run
+ */
+function toLegacy(results) {
+	const tests = [];
+
+	// Earlier versions only reported on tests, so leave out any failed hooks
+	results.tests.filter(data => data.type === 'test').forEach(data => {
+		// Attempt to pull the name of the ticket using the file path of the test
+		const
+			fileName = path.basename(data.file || ''),
+			ticket = tests.find(x => x.fileName === fileName);
+
+		if (data.state === 'pending') {
+			const skipMessage = data.title.replace(/\\/g, '').replace(/"/g, '\'').replace(/\n/, '');
+
+			if (ticket) {
+				ticket.errors.push(skipMessage);
+			} else {
+				tests.push({ state: 3, name: data.title, fileName: fileName, errors: [ skipMessage ] });
+			}
+		} else if (data.state === 'passed') {
+			if (ticket) {
+				// Change the state of the test to a pass if it was previously skipped
+				if (ticket.state === 3) {
+					ticket.state = 1;
+				}
+			} else {
+				tests.push({ state: 1, name: data.title, fileName: fileName, errors: [] });
+			}
+		} else if (data.state === 'failed') {
+			const failMessage = `[TEST STEP] ${data.title.replace(/"/g, '\'')}\\n[RESULT] ${data.error.message.replace(/\\/g, '').replace(/"/g, '\'').replace(/\n/, '')}`;
+
+			if (ticket) {
+				ticket.state = 2;
+				ticket.errors.push(failMessage);
+			} else {
+				tests.push({ state: 2, name: data.title, fileName: fileName, errors: [ failMessage ] });
+			}
+		}
+	});
+
+	return tests;
 }
 
 module.exports = Mocha_Helper;
@@ -1,5 +1,9 @@
 'use strict';
 
+const
+	path = require('path'),
+	fs = require('fs-extra');
+
 // Colours to be used in the console logging
 const
 	Red = '\x1b[31m',
@@ -8,26 +12,228 @@ const
 	Green = '\x1b[32m',
 	Yellow = '\x1b[33m';
 
+// The severity of each level, messages below the level of a sink are dropped
+const LEVELS = {
+	trace: 10,
+	debug: 20,
+	info: 30,
+	warn: 40,
+	error: 50
+};
+
+// Flags whose values are always masked, wherever they appear in a message
+const
+	MASK = '********',
+	SECRET_FLAGS = [ '--password', '--keystore-password', '--store-password', '--key-password', '-P' ];
+
 /**
  * @class Output_Helper
  * @desc
- * Helper for outputting information to the CLI in a uniform manner
+ * Helper for outputting information to the CLI in a uniform manner. Every
+ * message becomes a record with a level and an ISO timestamp, which is handed
+ * to each of the sinks. By default there is a single console sink, whose level
+ * comes from `process.env.logging` (e.g. 'debug'), or 'info' if it isn't set.
+ * Secrets, and the values of password flags, are masked before any sink sees
+ * the message.
  */
 class Output_Helper {
 	/**
-	 * Writes a message with a green info tag (note no new line is passed by
-	 * default).
+	 * Change how the console sink writes messages, and what it lets through.
 	 *
-	 * @param {String} message - A string to be output after the info tag
+	 * @param {Object} opts - Optional arguments
+	 * @param {String} opts.level - The lowest level to output, one of trace, debug, info, warn or error
+	 * @param {Boolean} opts.json - Whether or not to write each record as a line of JSON
+	 * @param {Boolean} opts.timestamps - Whether or not to prefix messages with their timestamp
+	 * @param {Boolean} opts.colours - Whether or not to colour messages, defaults to whether the console is a TTY
+	 */
+	static configure({ level, json, timestamps, colours } = {}) {
+		if (level !== undefined && !LEVELS[level]) {
+			throw new Error(`Invalid log level '${level}', valid levels are: ${Object.keys(LEVELS).join(', ')}`);
+		}
+
+		const settings = { level: level, json: json, timestamps: timestamps, colours: colours };
+
+		Object.keys(settings).filter(key => settings[key] !== undefined).forEach(key => {
+			Output_Helper.console[key] = settings[key];
+		});
+	}
+
+	/**
+	 * Add somewhere for records to be written to, alongside the console.
+	 *
+	 * @param {Object} sink - An object with a write(record) function, and optionally a level
+	 * @returns {Object} The sink, for removing it later
+	 */
+	static addSink(sink) {
+		if (!sink || typeof sink.write !== 'function') {
+			throw new Error('A sink must have a write function');
+		}
+
+		Output_Helper.sinks.push(sink);
+
+		return sink;
+	}
+
+	/**
+	 * Stop writing records to a sink.
+	 *
+	 * @param {Object} sink - A sink previously added
 	 */
-	static step(message) {
-		message = `${Green}[INFO]${Reset} ${sanitise(message)}... `;
+	static removeSink(sink) {
+		Output_Helper.sinks = Output_Helper.sinks.filter(existing => existing !== sink);
+	}
 
-		if (process.env.logging === 'debug') {
-			message = `${message}\n`;
+	/**
+	 * Register a value that must never be written out, such as a password or
+	 * an access key. It is masked in every message from then on.
+	 *
+	 * @param {String} secret - The value to mask
+	 */
+	static addSecret(secret) {
+		if (secret !== undefined && secret !== null && String(secret).length > 0) {
+			Output_Helper.secrets.add(String(secret));
 		}
+	}
 
-		process.stdout.write(message);
+	/**
+	 * Mask the registered secrets, and the values of password flags such as
+	 * `--password`, `-P` or `--keystore-password`, in a message. Flags are masked
+	 * whether they are written as a command line or as a list of quoted
+	 * arguments, e.g. `[ '--password', 'hunter2' ]`.
+	 *
+	 * @param {String} message - The message to redact
+	 * @returns {String} The message with any secrets masked
+	 */
+	static redact(message) {
+		const
+			flags = new RegExp(`(^|[\\s"'])(${SECRET_FLAGS.join('|')})(=|\\s+)("[^"]*"|'[^']*'|[^\\s"']+)`, 'g'),
+			quoted = new RegExp(`(["'])(${SECRET_FLAGS.join('|')})\\1(\\s*,\\s*|\\s+)(["'])(?:\\\\.|(?!\\4)[^\\\\])*\\4`, 'g');
+
+		message = String(message)
+			.replace(flags, `$1$2$3${MASK}`)
+			.replace(quoted, `$1$2$1$3$4${MASK}$4`);
+
+		// Longest first, so a secret containing another is masked whole
+		Array.from(Output_Helper.secrets)
+			.sort((a, b) => b.length - a.length)
+			.forEach(secret => {
+				message = message.split(secret).join(MASK);
+			});
+
+		return message;
+	}
+
+	/**
+	 * Create a sink that writes to a stream, such as the console.
+	 *
+	 * @param {Object} opts - Optional arguments
+	 * @param {Object} opts.stream - The stream to write to
+	 * @param {String} opts.level - The lowest level to write, follows process.env.logging if not set
+	 * @param {Boolean} opts.json - Whether or not to write each record as a line of JSON
+	 * @param {Boolean} opts.timestamps - Whether or not to prefix messages with their timestamp
+	 * @param {Boolean} opts.colours - Whether or not to colour messages, defaults to whether the stream is a TTY
+	 * @returns {Object} The sink
+	 */
+	static streamSink({ stream = process.stdout, level, json = false, timestamps = false, colours } = {}) {
+		return {
+			level: level,
+			json: json,
+			timestamps: timestamps,
+			colours: colours,
+			write(record) {
+				if (this.json) {
+					return stream.write(`${JSON.stringify(record)}\n`);
+				}
+
+				const useColours = (this.colours === undefined) ? Boolean(stream.isTTY) && !process.env.NO_COLOR : this.colours;
+
+				stream.write(format(record, { colours: useColours, timestamps: this.timestamps }));
+			}
+		};
+	}
+
+	/**
+	 * Create a sink that appends to a log file, moving it aside once it gets
+	 * too big and keeping a limited number of the old files.
+	 *
+	 * @param {String} file - The path to the log file, e.g. Reports/ti-appium.log
+	 * @param {Object} opts - Optional arguments
+	 * @param {String} opts.level - The lowest level to write
+	 * @param {Boolean} opts.json - Whether or not to write each record as a line of JSON
+	 * @param {Int} opts.maxSize - The size in bytes the file can reach before it is rotated
+	 * @param {Int} opts.maxFiles - How many rotated files to keep
+	 * @returns {Object} The sink
+	 */
+	static fileSink(file, { level = 'debug', json = false, maxSize = 5 * 1024 * 1024, maxFiles = 5 } = {}) {
+		fs.ensureDirSync(path.dirname(file));
+
+		let size = fs.existsSync(file) ? fs.statSync(file).size : 0;
+
+		return {
+			level: level,
+			file: file,
+			write(record) {
+				const line = json ? `${JSON.stringify(record)}\n` : format(record, { colours: false, timestamps: true });
+
+				if (size > 0 && size + Buffer.byteLength(line) > maxSize) {
+					rotate(file, maxFiles);
+					size = 0;
+				}
+
+				fs.appendFileSync(file, line);
+				size += Buffer.byteLength(line);
+			}
+		};
+	}
+
+	/**
+	 * Write a message at a given level to every sink that accepts it.
+	 *
+	 * @param {String} level - One of trace, debug, info, warn or error
+	 * @param {String} message - The message to write
+	 * @param {Object} fields - Anything else to include in the record
+	 */
+	static log(level, message, fields = {}) {
+		if (!LEVELS[level]) {
+			throw new Error(`Invalid log level '${level}', valid levels are: ${Object.keys(LEVELS).join(', ')}`);
+		}
+
+		const record = Object.assign({
+			time: new Date().toISOString(),
+			level: level,
+			message: Output_Helper.redact(sanitise(message))
+		}, fields);
+
+		[ Output_Helper.console ].concat(Output_Helper.sinks).forEach(sink => {
+			if (LEVELS[level] >= LEVELS[sink.level || defaultLevel()]) {
+				sink.write(record);
+			}
+		});
+	}
+
+	/**
+	 * Writes a message with a green info tag, marking the start of a step that
+	 * is completed with finish, skip or fail. The time each step takes is kept
+	 * for the timeline of the run.
+	 *
+	 * @param {String} message - A string to be output after the info tag
+	 * @param {Object} opts - Optional arguments
+	 * @param {String} opts.category - What kind of step this is, e.g. 'build' or 'appium'
+	 */
+	static step(message, { category = 'step' } = {}) {
+		const step = {
+			name: sanitise(message),
+			category: category,
+			start: new Date().toISOString(),
+			end: undefined,
+			duration: undefined,
+			outcome: 'running'
+		};
+
+		Output_Helper.steps.push(step);
+		Output_Helper.open.push(step);
+
+		Output_Helper.log('info', `${step.name}...`);
 	}
 
 	/**
@@ -37,9 +243,7 @@ class Output_Helper {
 	 * @param {Object} value - An object to be returned with resolve
 	 */
 	static finish(done, value) {
-		if (process.env.logging !== 'debug') {
-			process.stdout.write(`${Green}Done${Reset}\n`);
-		}
+		Output_Helper.log('info', endStep('done', 'Done'), { status: 'done' });
 
 		if (done) {
 			done(value);
@@ -53,9 +257,7 @@ class Output_Helper {
 	 * @param {Object} value - An object to be returned with resolve
 	 */
 	static skip(done, value) {
-		if (process.env.logging !== 'debug') {
-			process.stdout.write(`${Yellow}Skipping${Reset}\n`);
-		}
+		Output_Helper.log('info', endStep('skipped', 'Skipping'), { status: 'skipped' });
 
 		if (done) {
 			done(value);
@@ -63,27 +265,73 @@ class Output_Helper {
 	}
 
 	/**
-	 * Writes a message with a green info tag (note no new line is passed by
-	 * default).
+	 * Writes the current step out in red as having failed.
+	 *
+	 * @param {Error} err - The reason the step failed
+	 */
+	static fail(err) {
+		const message = endStep('failed', 'Failed');
+
+		Output_Helper.log('error', err ? `${message}: ${sanitise(err.message || err)}` : message);
+	}
+
+	/**
+	 * Add something that has already happened to the timeline of the run,
+	 * such as a test.
+	 *
+	 * @param {Object} step - What happened
+	 * @param {String} step.name - The name to show for it
+	 * @param {String} step.category - What kind of step this is, e.g. 'test'
+	 * @param {String} step.start - When it started, as an ISO timestamp
+	 * @param {String} step.end - When it ended, as an ISO timestamp
+	 * @param {String} step.outcome - How it ended, e.g. 'passed' or 'failed'
+	 */
+	static record({ name, category = 'step', start, end, outcome = 'done' }) {
+		Output_Helper.steps.push({
+			name: name,
+			category: category,
+			start: start,
+			end: end,
+			duration: new Date(end) - new Date(start),
+			outcome: outcome
+		});
+	}
+
+	/**
+	 * Get the timeline of the run so far, in the order the steps started.
+	 *
+	 * @returns {Object[]} The name, category, start, end, duration and outcome of each step
+	 */
+	static timeline() {
+		return Output_Helper.steps
+			.map(step => Object.assign({}, step))
+			.sort((a, b) => new Date(a.start) - new Date(b.start));
+	}
+
+	/**
+	 * Forget the timeline so far, e.g. before starting another run.
+	 */
+	static resetTimeline() {
+		Output_Helper.steps = [];
+		Output_Helper.open = [];
+	}
+
+	/**
+	 * Writes a message with a green info tag.
 	 *
 	 * @param {String} message - A string to be output after the info tag
 	 */
 	static info(message) {
-		message = `${Green}[INFO]${Reset} ${sanitise(message)}\n`;
-
-		process.stdout.write(message);
+		Output_Helper.log('info', message);
 	}
 
 	/**
-	 * Writes a message with a yellow warning tag (note no new line is passed by
-	 * default).
+	 * Writes a message with a yellow warning tag.
 	 *
 	 * @param {String} message - A string to be output after the warning tag
 	 */
 	static warn(message) {
-		message = `${Yellow}[WARN]${Reset} ${sanitise(message)}\n`;
-
-		process.stdout.write(message);
+		Output_Helper.log('warn', message);
 	}
 
 	/**
@@ -92,9 +340,7 @@ class Output_Helper {
 	 * @param {String} message - String to be output
 	 */
 	static error(message) {
-		message = `${Red}[ERROR] ${sanitise(message)}${Reset}\n`;
-
-		process.stdout.write(message);
+		Output_Helper.log('error', message);
 	}
 
 	/**
@@ -103,21 +349,158 @@ class Output_Helper {
 	 * @param {String} message - String to be enclosed by the banner
 	 */
 	static banner(message) {
-		process.stdout.write('\n-------------------------------------------------------\n');
-		process.stdout.write(`${Green}[INFO]${Reset} ${message}\n`);
-		process.stdout.write('-------------------------------------------------------\n');
+		Output_Helper.log('info', message, { banner: true });
 	}
 
 	/**
-	 * Outputs a message when the debug flag is used.
+	 * Outputs a message when the level is debug or lower.
 	 *
 	 * @param {String} message - String to be output
 	 */
 	static debug(message) {
-		message = `${Grey}[DEBUG] ${sanitise(message)}${Reset}\n`;
+		Output_Helper.log('debug', message);
+	}
+
+	/**
+	 * Outputs a message when the level is trace.
+	 *
+	 * @param {String} message - String to be output
+	 */
+	static trace(message) {
+		Output_Helper.log('trace', message);
+	}
+}
 
-		if (process.env.logging === 'debug') {
-			process.stdout.write(message);
+Output_Helper.console = Output_Helper.streamSink();
+Output_Helper.sinks = [];
+Output_Helper.secrets = new Set();
+Output_Helper.steps = [];
+Output_Helper.open = [];
+
+/**
+ * Close the most recent step that is still running, and build the message
+ * announcing how it ended.
+ * @private
+ *
+ * @param {String} outcome - How the step ended
+ * @param {String} label - The word to end the message with
+ */
+function endStep(outcome, label) {
+	const step = Output_Helper.open.pop();
+
+	if (!step) {
+		return label;
+	}
+
+	step.end = new Date().toISOString();
+	step.duration = new Date(step.end) - new Date(step.start);
+	step.outcome = outcome;
+
+	return `${step.name}... ${label} (${duration(step.duration)})`;
+}
+
+/**
+ * Format a number of milliseconds to be read at a glance, e.g. 1m 20s.
+ * @private
+ *
+ * @param {Int} ms - The number of milliseconds
+ */
+function duration(ms) {
+	if (ms < 1000) {
+		return `${ms}ms`;
+	} else if (ms < 60000) {
+		return `${(ms / 1000).toFixed(1)}s`;
+	}
+
+	const
+		minutes = Math.floor(ms / 60000),
+		seconds = Math.round((ms % 60000) / 1000);
+
+	return `${minutes}m ${seconds}s`;
+}
+
+/**
+ * The level to use for sinks that don't set their own.
+ * @private
+ */
+function defaultLevel() {
+	return LEVELS[process.env.logging] ? process.env.logging : 'info';
+}
+
+/**
+ * Turn a record into a line of text.
+ * @private
+ *
+ * @param {Object} record - The record to format
+ * @param {Object} opts - Formatting options
+ * @param {Boolean} opts.colours - Whether or not to colour the line
+ * @param {Boolean} opts.timestamps - Whether or not to prefix the line with the timestamp
+ */
+function format(record, { colours, timestamps }) {
+	const
+		paint = (colour, text) => {
+			return colours ? `${colour}${text}${Reset}` : text;
+		},
+		time = timestamps ? `${record.time} ` : '',
+		tag = `[${record.level.toUpperCase()}]`;
+
+	let message = record.message;
+
+	if (record.status === 'done') {
+		message = message.replace(/Done( \([^)]*\))?$/, `${paint(Green, 'Done')}$1`);
+	} else if (record.status === 'skipped') {
+		message = message.replace(/Skipping( \([^)]*\))?$/, `${paint(Yellow, 'Skipping')}$1`);
+	}
+
+	let line;
+
+	switch (record.level) {
+		case 'error':
+			line = paint(Red, `${tag} ${message}`);
+			break;
+
+		case 'warn':
+			line = `${paint(Yellow, tag)} ${message}`;
+			break;
+
+		case 'info':
+			line = `${paint(Green, tag)} ${message}`;
+			break;
+
+		default:
+			line = paint(Grey, `${tag} ${message}`);
+			break;
+	}
+
+	if (record.banner) {
+		const rule = '-------------------------------------------------------';
+
+		return `\n${rule}\n${time}${line}\n${rule}\n`;
+	}
+
+	return `${time}${line}\n`;
+}
+
+/**
+ * Move a log file aside, shuffling the older copies up by one and dropping the
+ * oldest.
+ * @private
+ *
+ * @param {String} file - The path to the log file
+ * @param {Int} maxFiles - How many rotated files to keep
+ */
+function rotate(file, maxFiles) {
+	for (let i = maxFiles; i > 0; i--) {
+		const
+			from = (i === 1) ? file : `${file}.${i - 1}`,
+			to = `${file}.${i}`;
+
+		if (fs.existsSync(from)) {
+			if (i === maxFiles && fs.existsSync(to)) {
+				fs.unlinkSync(to);
+			}
+
+			fs.renameSync(from, to);
 		}
 	}
 }
@@ -138,6 +521,8 @@ function sanitise(message) {
 			return JSON.stringify(message, null, 2);
 		}
 	} else {
+		message = String(message);
+
 		while (message.endsWith('\n')) {
 			message = message.substring(0, message.length - 1);
 		}
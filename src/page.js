@@ -0,0 +1,186 @@
+'use strict';
+
+const output = require('./output.js');
+
+// How each kind of locator is looked up, using the cross platform finders
+const STRATEGIES = {
+	id: { find: 'elementId', wait: 'waitForElementId' },
+	text: { find: 'elementText', wait: 'waitForElementText' },
+	xpath: { find: 'elementXPath', wait: 'waitForElementXPath' },
+	className: { find: 'elementClassName', wait: 'waitForElementClassName' }
+};
+
+// Keys in a field that override its locator on a single platform
+const PLATFORMS = {
+	ios: 'iOS',
+	android: 'Android'
+};
+
+// Names taken by the page itself, which fields can't use
+const RESERVED = [ 'name', 'fields', 'locator', 'using' ];
+
+/**
+ * @class Page_Helper
+ * @desc
+ * Builds page objects, so the locators of a screen are written once rather
+ * than repeated through every test. Each field of a page is a getter that
+ * looks up its element when it is used, through the cross platform finders
+ * such as elementId and elementText.
+ */
+class Page_Helper {
+	/**
+	 * Define a page from a map of field names to locators. A locator has one
+	 * of id, text, xpath or className, and optionally a timeout to wait for
+	 * the element. An `ios` or `android` key replaces the locator on that
+	 * platform, e.g.
+	 *
+	 * definePage({
+	 *   loginButton: { id: 'login' },
+	 *   title: { text: 'Welcome', android: { xpath: '//*[@text="Welcome"]' } }
+	 * }, { name: 'Login' });
+	 *
+	 * const button = await page.loginButton;
+	 *
+	 * @param {Object} fields - The locators of the page, keyed by field name
+	 * @param {Object} opts - Optional arguments
+	 * @param {String} opts.name - The name of the page, used in errors
+	 * @param {Object} opts.driver - The driver to look elements up with, defaults to global.driver
+	 * @returns {Object} The page, with a getter for each field
+	 */
+	static define(fields, { name = 'Page', driver = undefined } = {}) {
+		if (!fields || typeof fields !== 'object') {
+			throw new Error(`Page '${name}' must be defined with an object of fields`);
+		}
+
+		Object.keys(fields).forEach(field => validate(name, field, fields[field]));
+
+		const page = {};
+
+		Object.defineProperties(page, {
+			name: { value: name },
+			fields: { value: Object.keys(fields) },
+
+			// The locator a field would use on a platform, for debugging
+			locator: {
+				value: (field, platform) => {
+					if (!fields[field]) {
+						throw new Error(`Page '${name}' has no field '${field}'`);
+					}
+
+					return locate(fields[field], platform);
+				}
+			},
+
+			// A copy of the page that looks elements up with another session
+			using: {
+				value: other => Page_Helper.define(fields, { name: name, driver: other })
+			}
+		});
+
+		Object.keys(fields).forEach(field => {
+			Object.defineProperty(page, field, {
+				enumerable: true,
+				get: () => find(name, field, fields[field], driver || global.driver)
+			});
+		});
+
+		return page;
+	}
+}
+
+/**
+ * Make sure a field has a locator that can be used on every platform it
+ * covers, throwing an error naming the page and field if it doesn't.
+ * @private
+ *
+ * @param {String} name - The name of the page
+ * @param {String} field - The name of the field
+ * @param {Object} spec - The locator of the field
+ */
+function validate(name, field, spec) {
+	if (RESERVED.includes(field)) {
+		throw new Error(`Field '${field}' of page '${name}' clashes with a property of the page, reserved names are: ${RESERVED.join(', ')}`);
+	}
+
+	if (!spec || typeof spec !== 'object') {
+		throw new Error(`Field '${field}' of page '${name}' must be a locator object, e.g. { id: '${field}' }`);
+	}
+
+	const unknown = Object.keys(spec).filter(key => !STRATEGIES[key] && !PLATFORMS[key] && key !== 'timeout');
+
+	if (unknown.length > 0) {
+		throw new Error(`Field '${field}' of page '${name}' has unknown key(s): ${unknown.join(', ')}, valid keys are: ${Object.keys(STRATEGIES).concat(Object.keys(PLATFORMS), 'timeout').join(', ')}`);
+	}
+
+	Object.keys(PLATFORMS).forEach(key => {
+		const strategies = Object.keys(locate(spec, PLATFORMS[key])).filter(strategy => STRATEGIES[strategy]);
+
+		if (strategies.length !== 1) {
+			throw new Error(`Field '${field}' of page '${name}' needs exactly one of ${Object.keys(STRATEGIES).join(', ')} on ${PLATFORMS[key]}, found ${strategies.length}`);
+		}
+	});
+}
+
+/**
+ * Work out the locator of a field on a platform, where a platform override
+ * replaces the locator but keeps the timeout.
+ * @private
+ *
+ * @param {Object} spec - The locator of the field
+ * @param {String} platform - Either 'iOS' or 'Android'
+ */
+function locate(spec, platform) {
+	const
+		key = Object.keys(PLATFORMS).find(x => PLATFORMS[x] === platform),
+		base = {};
+
+	Object.keys(spec).filter(x => !PLATFORMS[x]).forEach(x => {
+		base[x] = spec[x];
+	});
+
+	if (key && spec[key]) {
+		Object.keys(STRATEGIES).forEach(strategy => delete base[strategy]);
+
+		return Object.assign(base, spec[key]);
+	}
+
+	return base;
+}
+
+/**
+ * Look up the element of a field, explaining which page and field it was
+ * for if it can't be found.
+ * @private
+ *
+ * @param {String} name - The name of the page
+ * @param {String} field - The name of the field
+ * @param {Object} spec - The locator of the field
+ * @param {Object} driver - The driver to look the element up with
+ */
+async function find(name, field, spec, driver) {
+	if (!driver) {
+		throw new Error(`Couldn't look up '${field}' of page '${name}', there is no session running`);
+	}
+
+	const
+		platform = await driver.getPlatform(),
+		locator = locate(spec, platform),
+		strategy = Object.keys(STRATEGIES).find(x => locator[x] !== undefined),
+		value = locator[strategy];
+
+	output.debug(`Looking up '${field}' of page '${name}' by ${strategy} '${value}'`);
+
+	try {
+		if (locator.timeout === undefined) {
+			return await driver[STRATEGIES[strategy].find](value);
+		} else if (strategy === 'text') {
+			return await driver[STRATEGIES[strategy].wait](value, { time: locator.timeout });
+		} else {
+			return await driver[STRATEGIES[strategy].wait](value, locator.timeout);
+		}
+	} catch (err) {
+		throw new Error(`Page '${name}' couldn't find '${field}' by ${strategy} '${value}' on ${platform}: ${err.message}`);
+	}
+}
+
+module.exports = Page_Helper;
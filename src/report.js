@@ -0,0 +1,463 @@
+'use strict';
+
+const
+	path = require('path'),
+	fs = require('fs-extra'),
+	output = require('./output.js');
+
+/**
+ * @typedef {Object} TestResult
+ * @desc
+ * The outcome of a single test, or of a hook that failed.
+ *
+ * @property {String} type - Either 'test' or 'hook'
+ * @property {String} title - The title of the test
+ * @property {String} fullTitle - The title of the test prefixed by its suites
+ * @property {String} suite - The full title of the suite the test belongs to
+ * @property {String} file - The path to the file the test was defined in
+ * @property {String} state - Either 'passed', 'failed' or 'pending'
+ * @property {Int} duration - How long the test took in milliseconds
+ * @property {Int} attempts - How many attempts the test took, including retries
+ * @property {Boolean} flaky - Whether the test only passed after being retried
+ * @property {Object} error - The error the test failed with, if it failed
+ * @property {String} error.name - The type of error that was thrown
+ * @property {String} error.message - The full error message
+ * @property {String} error.stack - The stack trace of the error
+ * @property {Object[]} retries - The errors from each failed attempt before the last
+ * @property {Object[]} attachments - Files saved alongside the test, such as screenshots
+ */
+
+/**
+ * @typedef {Object} RunResults
+ * @desc
+ * The results of a Mocha run, as returned by Mocha_Helper.run.
+ *
+ * @property {String} label - The unique label of the run, used to name the reports
+ * @property {String} start - The ISO timestamp of when the run started
+ * @property {String} end - The ISO timestamp of when the run finished
+ * @property {Int} duration - How long the run took in milliseconds
+ * @property {Object} stats - Counts of tests, passes, failures, pending and flaky tests
+ * @property {TestResult[]} tests - The result of every test in the order they ran
+ * @property {Object} reports - The paths of the reports written, keyed by reporter
+ */
+
+/**
+ * @class Report_Helper
+ * @desc
+ * Writes the results of a test run out to a set of pluggable reporters, such
+ * as JUnit, JSON and HTML files.
+ */
+class Report_Helper {
+	/**
+	 * Make a reporter available to be used by name in a test run. Reporters
+	 * are passed the results, the directory to write to and the label of the
+	 * run, and should return the path of the file written.
+	 *
+	 * @param {String} name - The name to refer to the reporter by
+	 * @param {Function} reporter - The function that writes the report
+	 */
+	static register(name, reporter) {
+		if (typeof reporter !== 'function') {
+			throw Error(`Reporter '${name}' must be a function`);
+		}
+
+		reporters[name] = reporter;
+	}
+
+	/**
+	 * Write the results of a run out to each of the requested reporters.
+	 * Reporters can be referred to by name, by an object with a type property
+	 * and any reporter specific options, or be a function.
+	 *
+	 * @param {RunResults} results - The results of the test run
+	 * @param {Array} list - The reporters to write the results out with
+	 * @param {String} outDir - The directory to write the reports to
+	 */
+	static async write(results, list, outDir) {
+		const written = {};
+
+		fs.ensureDirSync(outDir);
+
+		for (const entry of list) {
+			let
+				name,
+				reporter,
+				opts = {};
+
+			if (typeof entry === 'function') {
+				name = entry.name || 'custom';
+				reporter = entry;
+			} else {
+				opts = (typeof entry === 'string') ? { type: entry } : entry;
+				name = opts.type;
+				reporter = reporters[name];
+			}
+
+			if (!reporter) {
+				throw Error(`Unknown reporter '${name}', valid reporters are: ${Object.keys(reporters).join(', ')}`);
+			}
+
+			output.debug(`Writing ${name} report`);
+
+			written[name] = await reporter(results, outDir, results.label, opts);
+		}
+
+		return written;
+	}
+
+	/**
+	 * Read the results of a previous run back in from a JSON or JUnit report.
+	 * JUnit reports only carry enough to identify each test and its outcome.
+	 *
+	 * @param {String} file - The path to the report
+	 * @returns {RunResults} The results held in the report
+	 */
+	static load(file) {
+		if (!fs.existsSync(file)) {
+			throw Error(`Report '${file}' doesn't exist`);
+		}
+
+		const contents = fs.readFileSync(file, 'utf8');
+
+		let results;
+
+		if (contents.trim().startsWith('<')) {
+			results = parseJUnit(contents, path.basename(file, path.extname(file)));
+		} else {
+			results = JSON.parse(contents);
+		}
+
+		if (!Array.isArray(results.tests)) {
+			throw Error(`Report '${file}' doesn't contain any test results`);
+		}
+
+		return results;
+	}
+}
+
+/**
+ * Write the results out as a JUnit XML file.
+ * @private
+ *
+ * @param {RunResults} results - The results of the test run
+ * @param {String} outDir - The directory to write the report to
+ * @param {String} label - The label of the run
+ * @param {Object} opts - Reporter options
+ * @param {String} opts.file - A custom path to write the report to
+ */
+function junit(results, outDir, label, { file = path.join(outDir, `${label}.xml`) } = {}) {
+	const suites = groupBySuite(results.tests);
+
+	let xml = '<?xml version="1.0" encoding="UTF-8"?>\n';
+
+	xml += `<testsuites name="${escapeXml(label)}" tests="${results.stats.tests}" failures="${results.stats.failures}" skipped="${results.stats.pending}" time="${seconds(results.duration)}">\n`;
+
+	Object.keys(suites).forEach(suite => {
+		const
+			tests = suites[suite],
+			failures = tests.filter(test => test.state === 'failed').length,
+			skipped = tests.filter(test => test.state === 'pending').length,
+			time = tests.reduce((total, test) => total + (test.duration || 0), 0);
+
+		xml += `\t<testsuite name="${escapeXml(suite)}" tests="${tests.length}" failures="${failures}" skipped="${skipped}" time="${seconds(time)}">\n`;
+
+		tests.forEach(test => {
+			// The full title is kept as written by Mocha, so a rerun can pick the test out again
+			xml += `\t\t<testcase name="${escapeXml(test.title)}" classname="${escapeXml(suite)}" fulltitle="${escapeXml(test.fullTitle || test.title)}" file="${escapeXml(test.file || '')}" time="${seconds(test.duration)}"`;
+
+			const body = [];
+
+			if (test.state === 'pending') {
+				body.push('\t\t\t<skipped/>');
+			} else if (test.state === 'failed') {
+				body.push(`\t\t\t<failure message="${escapeXml(test.error.message)}" type="${escapeXml(test.error.name)}"><![CDATA[${cdata(test.error.stack || test.error.message)}]]></failure>`);
+			}
+
+			// Surefire convention, so tests that passed on retry show as flaky rather than clean passes
+			(test.retries || []).forEach(err => {
+				const tag = (test.state === 'passed') ? 'flakyFailure' : 'rerunFailure';
+
+				body.push(`\t\t\t<${tag} message="${escapeXml(err.message)}" type="${escapeXml(err.name)}"><![CDATA[${cdata(err.stack || err.message)}]]></${tag}>`);
+			});
+
+			// Follows the convention used by the Jenkins JUnit attachments plugin
+			if (test.attachments.length > 0) {
+				body.push(`\t\t\t<system-out><![CDATA[${cdata(test.attachments.map(attachment => `[[ATTACHMENT|${attachment.path}]]`).join('\n'))}]]></system-out>`);
+			}
+
+			xml += (body.length > 0) ? `>\n${body.join('\n')}\n\t\t</testcase>\n` : '/>\n';
+		});
+
+		xml += '\t</testsuite>\n';
+	});
+
+	xml += '</testsuites>\n';
+
+	fs.outputFileSync(file, xml);
+
+	return file;
+}
+
+/**
+ * Write the results out as a JSON file.
+ * @private
+ *
+ * @param {RunResults} results - The results of the test run
+ * @param {String} outDir - The directory to write the report to
+ * @param {String} label - The label of the run
+ * @param {Object} opts - Reporter options
+ * @param {String} opts.file - A custom path to write the report to
+ */
+function json(results, outDir, label, { file = path.join(outDir, `${label}.json`) } = {}) {
+	fs.outputFileSync(file, JSON.stringify(results, null, 2));
+
+	return file;
+}
+
+/**
+ * Write the results out as a static HTML page.
+ * @private
+ *
+ * @param {RunResults} results - The results of the test run
+ * @param {String} outDir - The directory to write the report to
+ * @param {String} label - The label of the run
+ * @param {Object} opts - Reporter options
+ * @param {String} opts.file - A custom path to write the report to
+ */
+function html(results, outDir, label, { file = path.join(outDir, `${label}.html`) } = {}) {
+	const suites = groupBySuite(results.tests);
+
+	let page = '<!DOCTYPE html>\n<html>\n<head>\n<meta charset="utf-8">\n';
+
+	page += `<title>${escapeXml(label)}</title>\n`;
+	page += '<style>body{font-family:sans-serif}table{border-collapse:collapse;width:100%}td,th{border:1px solid #ccc;padding:4px;text-align:left;vertical-align:top}.passed{color:#2a7d2a}.failed{color:#c62828}.pending{color:#b28704}pre{white-space:pre-wrap;margin:0}</style>\n';
+	page += '</head>\n<body>\n';
+	page += `<h1>${escapeXml(label)}</h1>\n`;
+	page += `<p>${results.stats.tests} tests, ${results.stats.passes} passed (${results.stats.flaky || 0} flaky), ${results.stats.failures} failed, ${results.stats.pending} pending in ${seconds(results.duration)}s</p>\n`;
+
+	Object.keys(suites).forEach(suite => {
+		page += `<h2>${escapeXml(suite)}</h2>\n<table>\n<tr><th>Test</th><th>State</th><th>Duration</th><th>Details</th></tr>\n`;
+
+		suites[suite].forEach(test => {
+			const details = [];
+
+			if (test.error) {
+				details.push(`<pre>${escapeXml(test.error.stack || test.error.message)}</pre>`);
+			}
+
+			test.attachments.forEach(attachment => {
+				details.push(`<a href="${escapeXml(path.relative(path.dirname(file), attachment.path))}">${escapeXml(attachment.name)}</a>`);
+			});
+
+			page += `<tr><td>${escapeXml(test.title)}</td><td class="${test.state}">${test.state}${(test.flaky) ? ` (flaky, ${test.attempts} attempts)` : ''}</td><td>${test.duration || 0}ms</td><td>${details.join('<br>')}</td></tr>\n`;
+		});
+
+		page += '</table>\n';
+	});
+
+	page += '</body>\n</html>\n';
+
+	fs.outputFileSync(file, page);
+
+	return file;
+}
+
+/**
+ * Pull the test results back out of a JUnit report.
+ * @private
+ *
+ * @param {String} xml - The contents of the JUnit report
+ * @param {String} label - The label to give the results
+ */
+function parseJUnit(xml, label) {
+	const
+		tests = [],
+		testcase = /<testcase\b([^>]*?)(?:\/>|>([\s\S]*?)<\/testcase>)/g;
+
+	let match;
+
+	while ((match = testcase.exec(xml)) !== null) {
+		const
+			attributes = parseAttributes(match[1]),
+			body = match[2] || '',
+			failure = /<(failure|error)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/\1>)/.exec(body),
+			retry = /<(flakyFailure|rerunFailure)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/\1>)/g,
+			retries = [],
+			title = attributes.name || '';
+
+		// Tests in the root suite are written with the name of their file as the classname
+		const suite = (attributes.classname === path.basename(attributes.file || 'Root Suite')) ? '' : (attributes.classname || '');
+
+		let rerun;
+
+		while ((rerun = retry.exec(body)) !== null) {
+			retries.push(parseError(rerun[2], rerun[3]));
+		}
+
+		let state = 'passed';
+
+		if (failure) {
+			state = 'failed';
+		} else if (/<skipped\b/.test(body)) {
+			state = 'pending';
+		}
+
+		tests.push({
+			type: (/^"(before|after) (all|each)" hook/.test(title)) ? 'hook' : 'test',
+			title: title,
+			fullTitle: attributes.fulltitle || ((suite) ? `${suite} ${title}` : title),
+			suite: suite,
+			file: attributes.file,
+			state: state,
+			duration: Math.round(parseFloat(attributes.time || 0) * 1000),
+			attempts: retries.length + 1,
+			flaky: (state === 'passed' && retries.length > 0),
+			error: (failure) ? parseError(failure[2], failure[3]) : undefined,
+			retries: retries,
+			attachments: []
+		});
+	}
+
+	return {
+		label: label,
+		tests: tests,
+		reports: {}
+	};
+}
+
+/**
+ * Read an error back out of a failure element of a JUnit report.
+ * @private
+ *
+ * @param {String} attributes - The attribute portion of the element
+ * @param {String} body - The contents of the element
+ */
+function parseError(attributes, body = '') {
+	const
+		error = parseAttributes(attributes),
+		text = body.trim();
+
+	return {
+		name: error.type || 'Error',
+		message: error.message || '',
+		stack: (text.startsWith('<![CDATA[')) ? text.slice(9, -3) : unescapeXml(text)
+	};
+}
+
+/**
+ * Read the attributes of an XML element into an object.
+ * @private
+ *
+ * @param {String} str - The attribute portion of the element
+ */
+function parseAttributes(str) {
+	const
+		attributes = {},
+		attribute = /([\w:-]+)="([^"]*)"/g;
+
+	let match;
+
+	while ((match = attribute.exec(str)) !== null) {
+		attributes[match[1]] = unescapeXml(match[2]);
+	}
+
+	return attributes;
+}
+
+/**
+ * Reverse the escaping applied to XML text.
+ * @private
+ *
+ * @param {String} str - The string to unescape
+ */
+function unescapeXml(str) {
+	return str
+		.replace(/&#10;/g, '\n')
+		.replace(/&lt;/g, '<')
+		.replace(/&gt;/g, '>')
+		.replace(/&quot;/g, '"')
+		.replace(/&apos;/g, '\'')
+		.replace(/&amp;/g, '&');
+}
+
+/**
+ * Group test results by the suite they belong to, keeping the run order.
+ * @private
+ *
+ * @param {TestResult[]} tests - The test results to group
+ */
+function groupBySuite(tests) {
+	const suites = {};
+
+	tests.forEach(test => {
+		const suite = test.suite || path.basename(test.file || 'Root Suite');
+
+		if (!suites[suite]) {
+			suites[suite] = [];
+		}
+
+		suites[suite].push(test);
+	});
+
+	return suites;
+}
+
+/**
+ * Escape a string so it can be safely placed in XML or HTML.
+ * @private
+ *
+ * @param {String} str - The string to escape
+ */
+function escapeXml(str) {
+	return stripControl(str)
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;')
+		.replace(/'/g, '&apos;')
+		.replace(/\n/g, '&#10;');
+}
+
+/**
+ * Make sure a string can't terminate the CDATA section it is placed in.
+ * @private
+ *
+ * @param {String} str - The string to be placed in a CDATA section
+ */
+function cdata(str) {
+	return stripControl(str).replace(/]]>/g, ']]]]><![CDATA[>');
+}
+
+/**
+ * Remove the control characters that aren't allowed in XML, such as the
+ * escape codes used to colour console output.
+ * @private
+ *
+ * @param {String} str - The string to clean
+ */
+function stripControl(str) {
+	// Tabs, line feeds and carriage returns are the only ones allowed
+	return Array.from(String(str)).filter(char => char.charCodeAt(0) > 0x1F || [ 0x09, 0x0A, 0x0D ].includes(char.charCodeAt(0))).join('');
+}
+
+/**
+ * Convert a duration in milliseconds into seconds for JUnit.
+ * @private
+ *
+ * @param {Int} ms - The duration in milliseconds
+ */
+function seconds(ms) {
+	return ((ms || 0) / 1000).toFixed(3);
+}
+
+/**
+ * The reporters available to be used in a test run, keyed by name.
+ * @private
+ */
+const reporters = {
+	junit: junit,
+	json: json,
+	html: html
+};
+
+module.exports = Report_Helper;
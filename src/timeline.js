@@ -0,0 +1,208 @@
+'use strict';
+
+const
+	path = require('path'),
+	fs = require('fs-extra'),
+	output = require('./output.js');
+
+/**
+ * @class Timeline_Helper
+ * @desc
+ * Summarises where the time of a run went, using the steps tracked by
+ * Output_Helper (such as the build, SDK install and Appium start) and the
+ * tests recorded alongside them.
+ */
+class Timeline_Helper {
+	/**
+	 * Total up the timeline of a run.
+	 *
+	 * @param {Object[]} steps - The steps of the run, defaults to those tracked so far
+	 * @returns {Object} When the run started and ended, the time spent in each category, and every step
+	 */
+	static summarise(steps = output.timeline()) {
+		const
+			now = new Date().toISOString(),
+			start = steps.map(step => step.start).sort()[0] || now,
+			end = steps.map(step => step.end || now).sort().pop() || now,
+			categories = {};
+
+		// Anything still running by now didn't get to finish
+		steps = steps.map(step => {
+			if (step.end) {
+				return step;
+			}
+
+			return Object.assign({}, step, { end: now, duration: new Date(now) - new Date(step.start), outcome: 'unfinished' });
+		});
+
+		steps.forEach(step => {
+			const category = categories[step.category] || (categories[step.category] = { count: 0, duration: 0 });
+
+			category.count++;
+			category.duration += step.duration;
+		});
+
+		return {
+			start: start,
+			end: end,
+			duration: new Date(end) - new Date(start),
+			categories: categories,
+			steps: steps
+		};
+	}
+
+	/**
+	 * Write the timeline to the console, listing each step other than the
+	 * tests, followed by the slowest tests.
+	 *
+	 * @param {Object} summary - The timeline, as returned by summarise
+	 * @param {Object} opts - Optional arguments
+	 * @param {Int} opts.slowest - How many of the slowest tests to list
+	 */
+	static print(summary, { slowest = 5 } = {}) {
+		output.banner(`Timeline: ${seconds(summary.duration)}s in total`);
+
+		summary.steps.filter(step => step.category !== 'test').forEach(step => {
+			output.info(`${pad(`${seconds(step.duration)}s`, 9)}${pad(percent(step.duration, summary.duration), 6)}${pad(step.category, 10)}${step.name} (${step.outcome})`);
+		});
+
+		const tests = summary.steps.filter(step => step.category === 'test');
+
+		if (tests.length > 0) {
+			const total = summary.categories.test.duration;
+
+			output.info(`${pad(`${seconds(total)}s`, 9)}${pad(percent(total, summary.duration), 6)}${pad('test', 10)}${tests.length} tests, the slowest being:`);
+
+			tests.slice().sort((a, b) => b.duration - a.duration).slice(0, slowest).forEach(test => {
+				output.info(`${pad('', 15)}${pad(`${seconds(test.duration)}s`, 10)}${test.name} (${test.outcome})`);
+			});
+		}
+	}
+
+	/**
+	 * Write the timeline out as `timeline.json`, and as `timeline.html`
+	 * showing each step as a bar across the length of the run.
+	 *
+	 * @param {Object} summary - The timeline, as returned by summarise
+	 * @param {String} outDir - The directory to write the files to
+	 * @returns {Object} The paths of the JSON and HTML files
+	 */
+	static write(summary, outDir) {
+		const files = {
+			json: path.join(outDir, 'timeline.json'),
+			html: path.join(outDir, 'timeline.html')
+		};
+
+		fs.outputJsonSync(files.json, summary, { spaces: 2 });
+		fs.outputFileSync(files.html, html(summary));
+
+		output.debug(`Written the timeline to ${files.json} and ${files.html}`);
+
+		return files;
+	}
+
+	/**
+	 * Summarise the timeline of the run so far, then print it and write it out.
+	 *
+	 * @param {String} outDir - The directory to write the files to
+	 * @returns {Object} The timeline, with the paths of the files written
+	 */
+	static report(outDir) {
+		const summary = this.summarise();
+
+		this.print(summary);
+
+		return Object.assign(summary, { files: this.write(summary, outDir) });
+	}
+}
+
+/**
+ * Build a page showing each step of the timeline as a bar, positioned by when
+ * it started and sized by how long it took.
+ * @private
+ *
+ * @param {Object} summary - The timeline, as returned by summarise
+ */
+function html(summary) {
+	const
+		total = Math.max(summary.duration, 1),
+		start = new Date(summary.start);
+
+	let page = '<!DOCTYPE html>\n<html>\n<head>\n<meta charset="utf-8">\n';
+
+	page += '<title>Timeline</title>\n';
+	page += '<style>body{font-family:sans-serif}table{border-collapse:collapse;width:100%}td,th{border:1px solid #ccc;padding:4px;text-align:left;white-space:nowrap}td.bar{width:60%;position:relative}td.bar div{position:absolute;top:25%;height:50%;min-width:1px;background:#2a7d2a}.failed div,.unfinished div{background:#c62828!important}.skipped div,.pending div{background:#b28704!important}</style>\n';
+	page += '</head>\n<body>\n';
+	page += `<h1>Timeline</h1>\n<p>${seconds(summary.duration)}s from ${escapeHtml(summary.start)} to ${escapeHtml(summary.end)}</p>\n`;
+
+	page += '<table>\n<tr><th>Category</th><th>Count</th><th>Duration</th><th>Share</th></tr>\n';
+
+	Object.keys(summary.categories).forEach(category => {
+		const { count, duration } = summary.categories[category];
+
+		page += `<tr><td>${escapeHtml(category)}</td><td>${count}</td><td>${seconds(duration)}s</td><td>${percent(duration, total)}</td></tr>\n`;
+	});
+
+	page += '</table>\n<h2>Steps</h2>\n<table>\n<tr><th>Step</th><th>Category</th><th>Outcome</th><th>Duration</th><th>Timeline</th></tr>\n';
+
+	summary.steps.forEach(step => {
+		const
+			left = ((new Date(step.start) - start) / total) * 100,
+			width = (step.duration / total) * 100;
+
+		page += `<tr class="${escapeHtml(step.outcome)}"><td>${escapeHtml(step.name)}</td><td>${escapeHtml(step.category)}</td><td>${escapeHtml(step.outcome)}</td><td>${seconds(step.duration)}s</td>`;
+		page += `<td class="bar"><div style="left:${left.toFixed(2)}%;width:${width.toFixed(2)}%" title="${escapeHtml(step.start)}"></div></td></tr>\n`;
+	});
+
+	page += '</table>\n</body>\n</html>\n';
+
+	return page;
+}
+
+/**
+ * Convert milliseconds to seconds, to one decimal place.
+ * @private
+ *
+ * @param {Int} ms - The number of milliseconds
+ */
+function seconds(ms) {
+	return ((ms || 0) / 1000).toFixed(1);
+}
+
+/**
+ * Work out the share of the run a duration makes up.
+ * @private
+ *
+ * @param {Int} duration - The duration of part of the run
+ * @param {Int} total - The duration of the whole run
+ */
+function percent(duration, total) {
+	return `${Math.round((duration / Math.max(total, 1)) * 100)}%`;
+}
+
+/**
+ * Pad a string out to a fixed width, so the columns of the summary line up.
+ * @private
+ *
+ * @param {String} str - The string to pad
+ * @param {Int} width - The width to pad to
+ */
+function pad(str, width) {
+	return String(str).padEnd(width);
+}
+
+/**
+ * Escape a string for use in HTML.
+ * @private
+ *
+ * @param {String} str - The string to escape
+ */
+function escapeHtml(str) {
+	return String(str)
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;');
+}
+
+module.exports = Timeline_Helper;
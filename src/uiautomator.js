@@ -0,0 +1,177 @@
+'use strict';
+
+// The methods of UiSelector that can be chained, by the type of their argument
+const METHODS = {
+	string: [
+		'text', 'textContains', 'textStartsWith', 'textMatches',
+		'description', 'descriptionContains', 'descriptionStartsWith', 'descriptionMatches',
+		'resourceId', 'resourceIdMatches',
+		'className', 'classNameMatches',
+		'packageName', 'packageNameMatches'
+	],
+	int: [ 'index', 'instance' ],
+	boolean: [ 'checkable', 'checked', 'clickable', 'enabled', 'focusable', 'focused', 'longClickable', 'scrollable', 'selected' ],
+	selector: [ 'childSelector', 'fromParent' ]
+};
+
+/**
+ * @class UiAutomator_Helper
+ * @desc
+ * Builds UiAutomator expressions for finding elements on Android, so tests
+ * don't have to write (and escape) `new UiSelector()` strings by hand.
+ *
+ * ui().resourceId('com.app:id/list').childSelector(ui().textContains('Item')).instance(2)
+ */
+class UiAutomator_Helper {
+	/**
+	 * Start building a UiSelector. Each method of UiSelector, such as text,
+	 * resourceId or instance, can be chained on to it, and it turns into the
+	 * expression when used as a string.
+	 *
+	 * @returns {UiSelector} An empty selector
+	 */
+	static ui() {
+		return new UiSelector();
+	}
+
+	/**
+	 * Build an expression that scrolls a scrollable container until an element
+	 * matching the selector comes into view.
+	 *
+	 * @param {UiSelector|String} selector - The element to scroll to
+	 * @param {Object} opts - Optional arguments
+	 * @param {UiSelector|String} opts.container - The container to scroll, defaults to the first scrollable element
+	 * @param {Boolean} opts.horizontal - Whether or not the container scrolls horizontally
+	 * @param {Int} opts.maxSwipes - The most swipes to make before giving up
+	 * @returns {String} The expression
+	 */
+	static scrollIntoView(selector, { container = UiAutomator_Helper.ui().scrollable(true), horizontal = false, maxSwipes = undefined } = {}) {
+		let expression = `new UiScrollable(${expressionOf(container)})`;
+
+		if (horizontal) {
+			expression += '.setAsHorizontalList()';
+		}
+
+		if (maxSwipes !== undefined) {
+			expression += `.setMaxSearchSwipes(${integer('maxSwipes', maxSwipes)})`;
+		}
+
+		return `${expression}.scrollIntoView(${expressionOf(selector)})`;
+	}
+}
+
+/**
+ * A UiSelector being built up, one method call at a time.
+ * @private
+ */
+class UiSelector {
+	constructor() {
+		this.calls = [];
+	}
+
+	/**
+	 * Build an expression that scrolls until this element is in view.
+	 *
+	 * @param {Object} opts - Optional arguments, as accepted by UiAutomator_Helper.scrollIntoView
+	 */
+	scrollIntoView(opts) {
+		return UiAutomator_Helper.scrollIntoView(this, opts);
+	}
+
+	toString() {
+		return `new UiSelector()${this.calls.join('')}`;
+	}
+}
+
+METHODS.string.forEach(method => {
+	UiSelector.prototype[method] = function (value) {
+		if (typeof value !== 'string') {
+			throw new Error(`UiSelector.${method} takes a string, got ${typeof value}`);
+		}
+
+		this.calls.push(`.${method}(${quote(value)})`);
+
+		return this;
+	};
+});
+
+METHODS.int.forEach(method => {
+	UiSelector.prototype[method] = function (value) {
+		this.calls.push(`.${method}(${integer(`UiSelector.${method}`, value)})`);
+
+		return this;
+	};
+});
+
+METHODS.boolean.forEach(method => {
+	UiSelector.prototype[method] = function (value = true) {
+		if (typeof value !== 'boolean') {
+			throw new Error(`UiSelector.${method} takes a boolean, got ${typeof value}`);
+		}
+
+		this.calls.push(`.${method}(${value})`);
+
+		return this;
+	};
+});
+
+METHODS.selector.forEach(method => {
+	UiSelector.prototype[method] = function (selector) {
+		if (!(selector instanceof UiSelector)) {
+			throw new Error(`UiSelector.${method} takes another selector, e.g. ui().text('Item')`);
+		}
+
+		this.calls.push(`.${method}(${selector})`);
+
+		return this;
+	};
+});
+
+/**
+ * Get the expression of a selector, passing strings through as they are.
+ * @private
+ *
+ * @param {UiSelector|String} selector - The selector
+ */
+function expressionOf(selector) {
+	if (selector instanceof UiSelector || typeof selector === 'string') {
+		return String(selector);
+	}
+
+	throw new Error('Expected a selector built with ui(), or a UiSelector expression');
+}
+
+/**
+ * Make sure a value is a whole number that isn't negative.
+ * @private
+ *
+ * @param {String} name - What the value is for, for the error
+ * @param {Int} value - The value to check
+ */
+function integer(name, value) {
+	if (!Number.isInteger(value) || value < 0) {
+		throw new Error(`${name} takes a whole number of 0 or more, got ${value}`);
+	}
+
+	return value;
+}
+
+/**
+ * Quote a string as a Java string literal, escaping any backslashes, double
+ * quotes and line breaks within it.
+ * @private
+ *
+ * @param {String} value - The string to quote
+ */
+function quote(value) {
+	const escaped = value
+		.replace(/\\/g, '\\\\')
+		.replace(/"/g, '\\"')
+		.replace(/\n/g, '\\n')
+		.replace(/\r/g, '\\r')
+		.replace(/\t/g, '\\t');
+
+	return `"${escaped}"`;
+}
+
+module.exports = UiAutomator_Helper;
@@ -3,9 +3,12 @@
 const
 	path = require('path'),
 	fs = require('fs-extra'),
-	pngcrop = require('png-crop'),
 	output = require('./output.js'),
-	resemble = require('node-resemble-js');
+	images = require('./image.js'),
+	baselines = require('./baseline.js'),
+	locators = require('./locator.js'),
+	uiautomator = require('./uiautomator.js'),
+	comparison = require('./compare.js');
 
 /**
  * @namespace WebDriverCommands
@@ -27,9 +30,11 @@ class WebDriver_Helper {
 	 * @desc
 	 * Generate commands that can be used by the driver. Used for creating
 	 * shortcuts we can use in testing to avoid massive code repetition.
+	 * Each command runs against the driver it was called on, so parallel
+	 * sessions never end up issuing commands to each other's devices.
 	 * @memberof Webdriver_Helper
 	 *
-	 * @param {Object} driver - The driver object to execute commands
+	 * @param {Object} driver - The driver object of the session being loaded
 	 * @param {Object} webdriver - The webdriver to add the commands to
 	 */
 	static loadDriverCommands(driver, webdriver) {
@@ -41,7 +46,9 @@ class WebDriver_Helper {
 		 * Return the OS of the current device, using the session.
 		 * @memberof WebDriverCommands
 		 */
-		webdriver.addPromiseMethod('getPlatform', () => {
+		webdriver.addPromiseMethod('getPlatform', function () {
+			const driver = this;
+
 			return driver
 				.sessionCapabilities()
 				.then(capabilities => {
@@ -56,7 +63,9 @@ class WebDriver_Helper {
 		 * sometimes focuses on new text fields.
 		 * @memberof WebDriverCommands
 		 */
-		webdriver.addPromiseMethod('androidHideKeyboard', () => {
+		webdriver.addPromiseMethod('androidHideKeyboard', function () {
+			const driver = this;
+
 			return driver
 				.getPlatform()
 				.then(platform => {
@@ -75,6 +84,8 @@ class WebDriver_Helper {
 		 * @memberof WebDriverCommands
 		 */
 		webdriver.addElementPromiseMethod('getText', function () {
+			const driver = this.browser;
+
 			return driver
 				.getPlatform()
 				.then(platform => {
@@ -94,7 +105,9 @@ class WebDriver_Helper {
 		 * Accept the alert on the display to clear it away.
 		 * @memberof WebDriverCommands
 		 */
-		webdriver.addPromiseMethod('alertAccept', () => {
+		webdriver.addPromiseMethod('alertAccept', function () {
+			const driver = this;
+
 			return driver
 				.getPlatform()
 				.then(platform => {
@@ -132,7 +145,9 @@ class WebDriver_Helper {
 		 *
 		 * @param {String} term - The enter term to be clicked on iOS devices.
 		 */
-		webdriver.addPromiseMethod('enter', term => {
+		webdriver.addPromiseMethod('enter', function (term) {
+			const driver = this;
+
 			return driver
 				.getPlatform()
 				.then(platform => {
@@ -154,7 +169,9 @@ class WebDriver_Helper {
 		 * Use the backspace key on the keyboard for the required platform.
 		 * @memberof WebDriverCommands
 		 */
-		webdriver.addPromiseMethod('backspace', () => {
+		webdriver.addPromiseMethod('backspace', function () {
+			const driver = this;
+
 			return driver
 				.getPlatform()
 				.then(platform => {
@@ -178,7 +195,9 @@ class WebDriver_Helper {
 		 *
 		 * @param {String} className - The class name of the desired element.
 		 */
-		webdriver.addPromiseMethod('elementClassName', (className) => {
+		webdriver.addPromiseMethod('elementClassName', function (className) {
+			const driver = this;
+
 			return driver.waitForElementByClassName(className, webdriver.asserters.isDisplayed, 1000);
 		});
 
@@ -190,7 +209,9 @@ class WebDriver_Helper {
 		 *
 		 * @param {String} className - The class name of the desired element.
 		 */
-		webdriver.addPromiseMethod('elementsClassName', (className) => {
+		webdriver.addPromiseMethod('elementsClassName', function (className) {
+			const driver = this;
+
 			return driver.elementsByClassName(className);
 		});
 
@@ -203,7 +224,9 @@ class WebDriver_Helper {
 		 * @param {String} className - The class name of the desired element.
 		 * @param {Int} time - How long to wait in milliseconds.
 		 */
-		webdriver.addPromiseMethod('waitForElementClassName', (className, time = 3000) => {
+		webdriver.addPromiseMethod('waitForElementClassName', function (className, time = 3000) {
+			const driver = this;
+
 			return driver.waitForElementByClassName(className, webdriver.asserters.isDisplayed, time);
 		});
 
@@ -215,7 +238,9 @@ class WebDriver_Helper {
 		 *
 		 * @param {String} xPath - The XPath selector of the desired element.
 		 */
-		webdriver.addPromiseMethod('elementXPath', (xPath) => {
+		webdriver.addPromiseMethod('elementXPath', function (xPath) {
+			const driver = this;
+
 			return driver.waitForElementByXPath(xPath, webdriver.asserters.isDisplayed, 1000);
 		});
 
@@ -227,7 +252,9 @@ class WebDriver_Helper {
 		 *
 		 * @param {String} xPath - The XPath selector of the desired element.
 		 */
-		webdriver.addPromiseMethod('elementsXPath', (xPath) => {
+		webdriver.addPromiseMethod('elementsXPath', function (xPath) {
+			const driver = this;
+
 			return driver.elementsByXPath(xPath);
 		});
 
@@ -240,10 +267,185 @@ class WebDriver_Helper {
 		 * @param {String} xPath - The XPath selector of the desired element.
 		 * @param {Int} time - How long to wait in milliseconds.
 		 */
-		webdriver.addPromiseMethod('waitForElementXPath', (xPath, time = 3000) => {
+		webdriver.addPromiseMethod('waitForElementXPath', function (xPath, time = 3000) {
+			const driver = this;
+
 			return driver.waitForElementByXPath(xPath, webdriver.asserters.isDisplayed, time);
 		});
 
+		/**
+		 * @function elementPredicate
+		 * @desc
+		 * Return an element by an iOS predicate string, e.g.
+		 * "type == 'XCUIElementTypeButton' AND label BEGINSWITH 'Log'". Much
+		 * faster than XPath on XCUITest.
+		 * @memberof WebDriverCommands
+		 *
+		 * @param {String} predicate - The predicate matching the desired element.
+		 */
+		webdriver.addPromiseMethod('elementPredicate', async function (predicate) {
+			const driver = this;
+
+			await requirePlatform(driver, 'iOS', 'elementPredicate');
+
+			return driver.waitForElementByIosPredicateString(predicate, webdriver.asserters.isDisplayed, 1000);
+		});
+
+		/**
+		 * @function elementsPredicate
+		 * @desc
+		 * Count the number of elements by an iOS predicate string.
+		 * @memberof WebDriverCommands
+		 *
+		 * @param {String} predicate - The predicate matching the desired elements.
+		 */
+		webdriver.addPromiseMethod('elementsPredicate', async function (predicate) {
+			const driver = this;
+
+			await requirePlatform(driver, 'iOS', 'elementsPredicate');
+
+			return driver.elementsByIosPredicateString(predicate);
+		});
+
+		/**
+		 * @function waitForElementPredicate
+		 * @desc
+		 * Return an element by an iOS predicate string, but allow wait.
+		 * @memberof WebDriverCommands
+		 *
+		 * @param {String} predicate - The predicate matching the desired element.
+		 * @param {Int} time - How long to wait in milliseconds.
+		 */
+		webdriver.addPromiseMethod('waitForElementPredicate', async function (predicate, time = 3000) {
+			const driver = this;
+
+			await requirePlatform(driver, 'iOS', 'waitForElementPredicate');
+
+			return driver.waitForElementByIosPredicateString(predicate, webdriver.asserters.isDisplayed, time);
+		});
+
+		/**
+		 * @function elementClassChain
+		 * @desc
+		 * Return an element by an iOS class chain, e.g.
+		 * "**\/XCUIElementTypeCell[`name BEGINSWITH 'row'`]". Much faster than
+		 * XPath on XCUITest.
+		 * @memberof WebDriverCommands
+		 *
+		 * @param {String} classChain - The class chain of the desired element.
+		 */
+		webdriver.addPromiseMethod('elementClassChain', async function (classChain) {
+			const driver = this;
+
+			await requirePlatform(driver, 'iOS', 'elementClassChain');
+
+			return driver.waitForElementByIosClassChain(classChain, webdriver.asserters.isDisplayed, 1000);
+		});
+
+		/**
+		 * @function elementsClassChain
+		 * @desc
+		 * Count the number of elements by an iOS class chain.
+		 * @memberof WebDriverCommands
+		 *
+		 * @param {String} classChain - The class chain of the desired elements.
+		 */
+		webdriver.addPromiseMethod('elementsClassChain', async function (classChain) {
+			const driver = this;
+
+			await requirePlatform(driver, 'iOS', 'elementsClassChain');
+
+			return driver.elementsByIosClassChain(classChain);
+		});
+
+		/**
+		 * @function waitForElementClassChain
+		 * @desc
+		 * Return an element by an iOS class chain, but allow wait.
+		 * @memberof WebDriverCommands
+		 *
+		 * @param {String} classChain - The class chain of the desired element.
+		 * @param {Int} time - How long to wait in milliseconds.
+		 */
+		webdriver.addPromiseMethod('waitForElementClassChain', async function (classChain, time = 3000) {
+			const driver = this;
+
+			await requirePlatform(driver, 'iOS', 'waitForElementClassChain');
+
+			return driver.waitForElementByIosClassChain(classChain, webdriver.asserters.isDisplayed, time);
+		});
+
+		/**
+		 * @function elementUiSelector
+		 * @desc
+		 * Return an element by a UiAutomator selector on Android, built with
+		 * ui(), e.g. ui().resourceId('com.app:id/title').textContains('Hello').
+		 * @memberof WebDriverCommands
+		 *
+		 * @param {UiSelector|String} selector - The selector of the desired element.
+		 */
+		webdriver.addPromiseMethod('elementUiSelector', async function (selector) {
+			const driver = this;
+
+			await requirePlatform(driver, 'Android', 'elementUiSelector');
+
+			return driver.waitForElementByAndroidUIAutomator(String(selector), webdriver.asserters.isDisplayed, 1000);
+		});
+
+		/**
+		 * @function elementsUiSelector
+		 * @desc
+		 * Count the number of elements by a UiAutomator selector on Android.
+		 * @memberof WebDriverCommands
+		 *
+		 * @param {UiSelector|String} selector - The selector of the desired elements.
+		 */
+		webdriver.addPromiseMethod('elementsUiSelector', async function (selector) {
+			const driver = this;
+
+			await requirePlatform(driver, 'Android', 'elementsUiSelector');
+
+			return driver.elementsByAndroidUIAutomator(String(selector));
+		});
+
+		/**
+		 * @function waitForElementUiSelector
+		 * @desc
+		 * Return an element by a UiAutomator selector on Android, but allow wait.
+		 * @memberof WebDriverCommands
+		 *
+		 * @param {UiSelector|String} selector - The selector of the desired element.
+		 * @param {Int} time - How long to wait in milliseconds.
+		 */
+		webdriver.addPromiseMethod('waitForElementUiSelector', async function (selector, time = 3000) {
+			const driver = this;
+
+			await requirePlatform(driver, 'Android', 'waitForElementUiSelector');
+
+			return driver.waitForElementByAndroidUIAutomator(String(selector), webdriver.asserters.isDisplayed, time);
+		});
+
+		/**
+		 * @function scrollToElement
+		 * @desc
+		 * Scroll a list on Android until an element matching the selector is in
+		 * view, using UiScrollable, then return the element.
+		 * @memberof WebDriverCommands
+		 *
+		 * @param {UiSelector|String} selector - The selector of the desired element.
+		 * @param {Object} opts - Optional arguments
+		 * @param {UiSelector|String} opts.container - The list to scroll, defaults to the first scrollable element
+		 * @param {Boolean} opts.horizontal - Whether or not the list scrolls horizontally
+		 * @param {Int} opts.maxSwipes - The most swipes to make before giving up
+		 */
+		webdriver.addPromiseMethod('scrollToElement', async function (selector, { container, horizontal = false, maxSwipes } = {}) {
+			const driver = this;
+
+			await requirePlatform(driver, 'Android', 'scrollToElement');
+
+			return driver.elementByAndroidUIAutomator(uiautomator.scrollIntoView(selector, { container: container, horizontal: horizontal, maxSwipes: maxSwipes }));
+		});
+
 		/**
 		 * @function elementId
 		 * @desc
@@ -252,7 +454,9 @@ class WebDriver_Helper {
 		 *
 		 * @param {String} element - The element ID used to identify the element.
 		 */
-		webdriver.addPromiseMethod('elementId', (element) => {
+		webdriver.addPromiseMethod('elementId', function (element) {
+			const driver = this;
+
 			return driver
 				.getPlatform()
 				.then(platform => {
@@ -274,7 +478,9 @@ class WebDriver_Helper {
 		 *
 		 * @param {String} element - The element ID used to identify the element.
 		 */
-		webdriver.addPromiseMethod('elementsId', (element) => {
+		webdriver.addPromiseMethod('elementsId', function (element) {
+			const driver = this;
+
 			return driver
 				.getPlatform()
 				.then(platform => {
@@ -297,7 +503,9 @@ class WebDriver_Helper {
 		 * @param {String} element - The element ID used to identify the element.
 		 * @param {Int} time - How long to wait in milliseconds.
 		 */
-		webdriver.addPromiseMethod('waitForElementId', (element, time = 3000) => {
+		webdriver.addPromiseMethod('waitForElementId', function (element, time = 3000) {
+			const driver = this;
+
 			return driver
 				.getPlatform()
 				.then(platform => {
@@ -314,25 +522,36 @@ class WebDriver_Helper {
 		/**
 		 * @function elementText
 		 * @desc
-		 * Return an element by its text content.
+		 * Return an element by its text content. On iOS this looks the text up
+		 * as an ID, unless the predicate option is set, in which case the label
+		 * and value of elements are matched instead.
 		 * @memberof WebDriverCommands
 		 *
 		 * @param {String} text - The text to identify the element
+		 * @param {Object} opts - Optional arguments
+		 * @param {Boolean} opts.caseSensitive - Whether or not the case of the text has to match
+		 * @param {Boolean} opts.predicate - Whether or not to match the text with a predicate on iOS
 		 */
-		webdriver.addPromiseMethod('elementText', async (text, { caseSensitive = false } = {}) => {
+		webdriver.addPromiseMethod('elementText', async function (text, { caseSensitive = false, predicate = false } = {}) {
+			const driver = this;
+
 			switch (await driver.getPlatform()) {
 				case 'iOS':
+					if (predicate) {
+						return driver.waitForElementByIosPredicateString(locators.textPredicate(text, { caseSensitive: caseSensitive }), webdriver.asserters.isDisplayed, 1000);
+					}
+
 					return driver.waitForElementById(text, webdriver.asserters.isDisplayed, 1000);
 
 				case 'Android':
 					if (caseSensitive) {
-						return driver.waitForElementByAndroidUIAutomator(`new UiSelector().text("${text}")`, webdriver.asserters.isDisplayed, 1000);
+						return driver.waitForElementByAndroidUIAutomator(uiautomator.ui().text(text).toString(), webdriver.asserters.isDisplayed, 1000);
 					} else {
 						const
 							upperCase = text.toUpperCase(text),
 							lowerCase = text.toLowerCase(text);
 
-						return driver.waitForElementByXPath(`//*[@text="${text}" or @text="${upperCase}" or @text="${lowerCase}"]`, webdriver.asserters.isDisplayed, 1000);
+						return driver.waitForElementByXPath(`//*[@text=${xpathLiteral(text)} or @text=${xpathLiteral(upperCase)} or @text=${xpathLiteral(lowerCase)}]`, webdriver.asserters.isDisplayed, 1000);
 					}
 			}
 		});
@@ -344,21 +563,30 @@ class WebDriver_Helper {
 		 * @memberof WebDriverCommands
 		 *
 		 * @param {String} text - The text to identify the element
+		 * @param {Object} opts - Optional arguments
+		 * @param {Boolean} opts.caseSensitive - Whether or not the case of the text has to match
+		 * @param {Boolean} opts.predicate - Whether or not to match the text with a predicate on iOS
 		 */
-		webdriver.addPromiseMethod('elementsText', async (text, { caseSensitive = false } = {}) => {
+		webdriver.addPromiseMethod('elementsText', async function (text, { caseSensitive = false, predicate = false } = {}) {
+			const driver = this;
+
 			switch (await driver.getPlatform()) {
 				case 'iOS':
+					if (predicate) {
+						return driver.elementsByIosPredicateString(locators.textPredicate(text, { caseSensitive: caseSensitive }));
+					}
+
 					return driver.elementsById(text);
 
 				case 'Android':
 					if (caseSensitive) {
-						return driver.elementsByAndroidUIAutomator(`new UiSelector().text("${text}")`);
+						return driver.elementsByAndroidUIAutomator(uiautomator.ui().text(text).toString());
 					} else {
 						const
 							upperCase = text.toUpperCase(text),
 							lowerCase = text.toLowerCase(text);
 
-						return driver.elementsByXPath(`//*[@text="${text}" or @text="${upperCase}" or @text="${lowerCase}"]`);
+						return driver.elementsByXPath(`//*[@text=${xpathLiteral(text)} or @text=${xpathLiteral(upperCase)} or @text=${xpathLiteral(lowerCase)}]`);
 					}
 			}
 		});
@@ -370,26 +598,146 @@ class WebDriver_Helper {
 		 * @memberof WebDriverCommands
 		 *
 		 * @param {String} text - The text to identify the element
-		 * @param {Int} time - How long to wait in milliseconds
+		 * @param {Object} opts - Optional arguments
+		 * @param {Int} opts.time - How long to wait in milliseconds
+		 * @param {Boolean} opts.caseSensitive - Whether or not the case of the text has to match
+		 * @param {Boolean} opts.predicate - Whether or not to match the text with a predicate on iOS
 		 */
-		webdriver.addPromiseMethod('waitForElementText', async (text, { time = 3000, caseSensitive = false } = {}) => {
+		webdriver.addPromiseMethod('waitForElementText', async function (text, { time = 3000, caseSensitive = false, predicate = false } = {}) {
+			const driver = this;
+
 			switch (await driver.getPlatform()) {
 				case 'iOS':
+					if (predicate) {
+						return driver.waitForElementByIosPredicateString(locators.textPredicate(text, { caseSensitive: caseSensitive }), webdriver.asserters.isDisplayed, time);
+					}
+
 					return driver.waitForElementById(text, webdriver.asserters.isDisplayed, time);
 
 				case 'Android':
 					if (caseSensitive) {
-						return driver.waitForElementByAndroidUIAutomator(`new UiSelector().text("${text}")`, webdriver.asserters.isDisplayed, time);
+						return driver.waitForElementByAndroidUIAutomator(uiautomator.ui().text(text).toString(), webdriver.asserters.isDisplayed, time);
 					} else {
 						const
 							upperCase = text.toUpperCase(text),
 							lowerCase = text.toLowerCase(text);
 
-						return driver.waitForElementByXPath(`//*[@text="${text}" or @text="${upperCase}" or @text="${lowerCase}"]`, webdriver.asserters.isDisplayed, time);
+						return driver.waitForElementByXPath(`//*[@text=${xpathLiteral(text)} or @text=${xpathLiteral(upperCase)} or @text=${xpathLiteral(lowerCase)}]`, webdriver.asserters.isDisplayed, time);
 					}
 			}
 		});
 
+		/**
+		 * @function find
+		 * @desc
+		 * Return an element using a locator object, such as { id: 'login' },
+		 * { text: 'Log In' }, { xpath }, { className }, { predicate } (iOS),
+		 * { classChain } (iOS) or { uiautomator } (Android). A locator with more
+		 * than one strategy, or an array of locators, is tried in order until
+		 * one finds an element, and strategies for the other platform are
+		 * skipped.
+		 * @memberof WebDriverCommands
+		 *
+		 * @param {Object|Object[]} locator - The locator, or a list of locators to fall back through
+		 * @param {Object} opts - Optional arguments
+		 * @param {Int} opts.timeout - How long to wait in milliseconds
+		 * @param {String} opts.state - What state the element needs to be in, one of present, visible or enabled
+		 * @param {Int} opts.interval - How long to wait between searches in milliseconds
+		 */
+		webdriver.addPromiseMethod('find', function (locator, { timeout = 1000, state = 'visible', interval = 200 } = {}) {
+			const driver = this;
+
+			return locators.find(driver, locator, { timeout: timeout, state: state, interval: interval });
+		});
+
+		/**
+		 * @function findAll
+		 * @desc
+		 * Return all the elements found by the first strategy of a locator to
+		 * find any, or an empty array if none of them do.
+		 * @memberof WebDriverCommands
+		 *
+		 * @param {Object|Object[]} locator - The locator, or a list of locators to fall back through
+		 * @param {Object} opts - Optional arguments
+		 * @param {Int} opts.timeout - How long to wait for any elements in milliseconds
+		 * @param {String} opts.state - What state the elements need to be in, one of present, visible or enabled
+		 * @param {Int} opts.interval - How long to wait between searches in milliseconds
+		 */
+		webdriver.addPromiseMethod('findAll', function (locator, { timeout = 0, state = 'present', interval = 200 } = {}) {
+			const driver = this;
+
+			return locators.find(driver, locator, { timeout: timeout, state: state, interval: interval, all: true });
+		});
+
+		/**
+		 * @function waitForVisible
+		 * @desc
+		 * Wait for an element found by a locator to be displayed, then return it.
+		 * Called with a strategy and value instead of a locator, it behaves as
+		 * wd's own waitForVisible(using, value, timeout, pollFreq).
+		 * @memberof WebDriverCommands
+		 *
+		 * @param {Object|Object[]} locator - The locator, or a list of locators to fall back through
+		 * @param {Object} opts - Optional arguments
+		 * @param {Int} opts.timeout - How long to wait in milliseconds
+		 * @param {Int} opts.interval - How long to wait between searches in milliseconds
+		 */
+		webdriver.addPromiseMethod('waitForVisible', function (locator, ...args) {
+			const driver = this;
+
+			if (typeof locator === 'string') {
+				return new Promise((resolve, reject) => {
+					webdriver.Webdriver.prototype.waitForVisible.call(driver, locator, ...args, (err, result) => {
+						if (err) {
+							reject(err);
+						} else {
+							resolve(result);
+						}
+					});
+				});
+			}
+
+			const { timeout = 3000, interval = 200 } = args[0] || {};
+
+			return locators.find(driver, locator, { timeout: timeout, state: 'visible', interval: interval });
+		});
+
+		/**
+		 * @function waitForPresent
+		 * @desc
+		 * Wait for an element found by a locator to exist, whether or not it is
+		 * displayed, then return it.
+		 * @memberof WebDriverCommands
+		 *
+		 * @param {Object|Object[]} locator - The locator, or a list of locators to fall back through
+		 * @param {Object} opts - Optional arguments
+		 * @param {Int} opts.timeout - How long to wait in milliseconds
+		 * @param {Int} opts.interval - How long to wait between searches in milliseconds
+		 */
+		webdriver.addPromiseMethod('waitForPresent', function (locator, { timeout = 3000, interval = 200 } = {}) {
+			const driver = this;
+
+			return locators.find(driver, locator, { timeout: timeout, state: 'present', interval: interval });
+		});
+
+		/**
+		 * @function waitForEnabled
+		 * @desc
+		 * Wait for an element found by a locator to be displayed and enabled,
+		 * then return it.
+		 * @memberof WebDriverCommands
+		 *
+		 * @param {Object|Object[]} locator - The locator, or a list of locators to fall back through
+		 * @param {Object} opts - Optional arguments
+		 * @param {Int} opts.timeout - How long to wait in milliseconds
+		 * @param {Int} opts.interval - How long to wait between searches in milliseconds
+		 */
+		webdriver.addPromiseMethod('waitForEnabled', function (locator, { timeout = 3000, interval = 200 } = {}) {
+			const driver = this;
+
+			return locators.find(driver, locator, { timeout: timeout, state: 'enabled', interval: interval });
+		});
+
 		/**
 		 * @function getBounds
 		 * @desc
@@ -422,6 +770,8 @@ class WebDriver_Helper {
 		 * @memberof WebDriverCommands
 		 */
 		webdriver.addElementPromiseMethod('longpress', function () {
+			const driver = this.browser;
+
 			return this
 				.getBounds()
 				.then(bounds => {
@@ -444,6 +794,8 @@ class WebDriver_Helper {
 		 * @memberof WebDriverCommands
 		 */
 		webdriver.addElementPromiseMethod('doubleClick', function () {
+			const driver = this.browser;
+
 			return this
 				.getBounds()
 				.then(bounds => {
@@ -467,6 +819,8 @@ class WebDriver_Helper {
 		 * @memberof WebDriverCommands
 		 */
 		webdriver.addElementPromiseMethod('scrollUp', async function () {
+			const driver = this.browser;
+
 			const
 				platform = await driver.getPlatform(),
 				bounds = await this.getBounds();
@@ -499,6 +853,8 @@ class WebDriver_Helper {
 		 * @memberof WebDriverCommands
 		 */
 		webdriver.addElementPromiseMethod('scrollDown', async function () {
+			const driver = this.browser;
+
 			const
 				platform = await driver.getPlatform(),
 				bounds = await this.getBounds();
@@ -531,6 +887,8 @@ class WebDriver_Helper {
 		 * @memberof WebDriverCommands
 		 */
 		webdriver.addElementPromiseMethod('swipeRight', async function () {
+			const driver = this.browser;
+
 			const
 				platform = await driver.getPlatform(),
 				bounds = await this.getBounds();
@@ -563,6 +921,8 @@ class WebDriver_Helper {
 		 * @memberof WebDriverCommands
 		 */
 		webdriver.addElementPromiseMethod('swipeLeft', async function () {
+			const driver = this.browser;
+
 			const
 				platform = await driver.getPlatform(),
 				bounds = await this.getBounds();
@@ -588,13 +948,79 @@ class WebDriver_Helper {
 			}
 		});
 
+		/**
+		 * @function scrollToFind
+		 * @desc
+		 * Scroll a list, such as a Ti.UI.ListView or TableView, one gesture at a
+		 * time until an element matching the locator is displayed, then return
+		 * it. Stops with an error when the end of the list is reached, which is
+		 * when a gesture no longer changes the page source (or the last visible
+		 * item of the list), or after the most swipes allowed.
+		 * @memberof WebDriverCommands
+		 *
+		 * @param {Object} container - The list to scroll, as an element or a locator
+		 * @param {Object|Object[]} locator - The locator of the desired element, as accepted by find
+		 * @param {Object} opts - Optional arguments
+		 * @param {String} opts.direction - The gesture to repeat, one of up or down (scrollUp/scrollDown) or left or right (swipeLeft/swipeRight)
+		 * @param {Int} opts.maxSwipes - The most gestures to make before giving up
+		 * @param {String} opts.end - How to tell the end of the list has been reached, either 'source' or 'lastItem'
+		 * @param {Int} opts.delay - How long to let the list settle after each gesture, in milliseconds
+		 */
+		webdriver.addPromiseMethod('scrollToFind', async function (container, locator, { direction = 'down', maxSwipes = 10, end = 'source', delay = 500 } = {}) {
+			const
+				driver = this,
+				gestures = { up: 'scrollUp', down: 'scrollDown', left: 'swipeLeft', right: 'swipeRight' };
+
+			if (!gestures[direction]) {
+				throw new Error(`Unknown scroll direction '${direction}', valid directions are: ${Object.keys(gestures).join(', ')}`);
+			}
+
+			if (![ 'source', 'lastItem' ].includes(end)) {
+				throw new Error(`Unknown end of list detection '${end}', valid options are: source, lastItem`);
+			}
+
+			const list = (typeof container.getBounds === 'function') ? container : await driver.find(container);
+
+			let previous = await listSnapshot(driver, list, end);
+
+			for (let swipes = 0; ; swipes++) {
+				try {
+					return await locators.find(driver, locator, { timeout: 0 });
+				} catch (err) {
+					output.trace(`${locators.describe(locator)} not displayed after ${swipes} swipe(s) ${direction}`);
+				}
+
+				if (swipes >= maxSwipes) {
+					throw new Error(`Couldn't find ${locators.describe(locator)} after ${swipes} swipe(s) ${direction}, giving up before reaching the end of the list`);
+				}
+
+				await list[gestures[direction]]();
+				await driver.sleep(delay);
+
+				const current = await listSnapshot(driver, list, end);
+
+				if (current === previous) {
+					// One last look, in case the gesture only just brought the element into view
+					try {
+						return await locators.find(driver, locator, { timeout: 0 });
+					} catch (err) {
+						throw new Error(`Couldn't find ${locators.describe(locator)} after ${swipes + 1} swipe(s) ${direction}, as the end of the list was reached`);
+					}
+				}
+
+				previous = current;
+			}
+		});
+
 		/**
 		 * @function getLog
 		 * @desc
 		 * Return the latest log capture from Appium.
 		 * @memberof WebDriverCommands
 		 */
-		webdriver.addPromiseMethod('getLog', () => {
+		webdriver.addPromiseMethod('getLog', function () {
+			const driver = this;
+
 			return driver
 				.getPlatform()
 				.then(platform => {
@@ -692,7 +1118,9 @@ class WebDriver_Helper {
 		 * Used for finding the screen density of Android devices
 		 * @memberof WebDriverCommands
 		 */
-		webdriver.addPromiseMethod('getDensity', async () => {
+		webdriver.addPromiseMethod('getDensity', async function () {
+			const driver = this;
+
 			const session = await driver.sessionCapabilities();
 
 			switch (session.platformName) {
@@ -728,7 +1156,9 @@ class WebDriver_Helper {
 		 * Used for finding the screen density of Android devices
 		 * @memberof WebDriverCommands
 		 */
-		webdriver.addPromiseMethod('getDensity', async () => {
+		webdriver.addPromiseMethod('getDensity', async function () {
+			const driver = this;
+
 			const session = await driver.sessionCapabilities();
 
 			switch (session.platformName) {
@@ -758,6 +1188,46 @@ class WebDriver_Helper {
 			}
 		});
 
+		/**
+		 * @function getPixelRatio
+		 * @desc
+		 * Find how many screenshot pixels make up one unit of the coordinates
+		 * reported for elements on the device.
+		 * @memberof WebDriverCommands
+		 *
+		 * @param {String|Object} screenshot - A base64 encoded or decoded screenshot to measure against, one is taken if not passed
+		 */
+		webdriver.addPromiseMethod('getPixelRatio', async function (screenshot) {
+			const driver = this;
+
+			switch (await driver.getPlatform()) {
+				case 'iOS':
+					try {
+						const info = await driver.execute('mobile: deviceScreenInfo');
+
+						if (info && info.scale) {
+							return info.scale;
+						}
+					} catch (e) {
+						output.debug(`Unable to get the device screen info, measuring the screenshot instead: ${e.message}`);
+					}
+					break;
+
+				case 'Android':
+					const
+						density = await driver.getDensity(),
+						windowWidth = (await driver.getWindowSize()).width,
+						width = imageSize(screenshot || await driver.takeScreenshot()).width;
+
+					// UiAutomator2 reports coordinates in pixels already, so only apply the density when they're in dp
+					return (Math.abs((windowWidth * density) - width) < Math.abs(windowWidth - width)) ? density : 1;
+			}
+
+			const windowSize = await driver.getWindowSize();
+
+			return imageSize(screenshot || await driver.takeScreenshot()).width / windowSize.width;
+		});
+
 		/**
 		 * @function screenshotTest
 		 * @desc
@@ -765,40 +1235,45 @@ class WebDriver_Helper {
 		 * screenshot and validate the result against a configurable threshold.
 		 * @memberof WebDriverCommands
 		 *
-		 * @param {String} file - The path to the reference image
+		 * @param {String} file - The path to the general reference image, device specific baselines are looked up next to it
 		 * @param {String} modRoot - The path to the root of the project being tested
 		 * @param {Object} opts - Optional arguments
 		 * @param {Float} opts.thresh - Percentage fault value for image matching likeness
 		 * @param {Boolean} opts.overwrite - Whether or not to overwrite the reference image
 		 * @param {Int} opts.delay - The time to wait before taking the screenshot in milliseconds
+		 * @param {Array} opts.ignore - Rectangles, elements or locators (e.g. { id: 'clock' }) to mask out of the comparison
+		 * @param {String} opts.mode - The comparison tolerance, either 'nothing', 'antialiasing' or 'colors'
+		 * @param {String|Object} opts.compare - The comparison algorithm, either 'resemble', 'phash', 'ssim' or 'channel', or an object such as { method: 'ssim', similarity: 0.98 }, { method: 'phash', distance: 5 } or { method: 'channel', tolerance: 16, pixels: 100 }
+		 * @returns {Object} The method, metric and threshold of the comparison
 		 */
-		webdriver.addPromiseMethod('screenshotTest', async (file, modRoot, { thresh = 0.20, overwrite = false, delay = 2000 } = {}) => {
-			// return new Promise((resolve, reject) => {
+		webdriver.addPromiseMethod('screenshotTest', async function (file, modRoot, { thresh = 0.20, overwrite = false, delay = 2000, ignore = [], mode = 'nothing', compare = 'resemble' } = {}) {
+			const driver = this;
+
 			await driver.sleep(delay);
 
-			const platform = await driver.getPlatform();
+			const
+				platform = await driver.getPlatform(),
+				screenshot = await takeScreenshot(driver),
+				ratio = await driver.getPixelRatio(screenshot);
+
+			let dimensions;
 
 			switch (platform) {
 				case 'iOS':
-				// Get the size of the window frame
-					const winVal = await driver
-						.elementByClassName('XCUIElementTypeWindow')
-						.getBounds();
-
-					// Create the config for PNGCrop to use
-					const dimensions = {
-						height: (winVal.height * 2),
-						width: (winVal.width * 2),
-						top: 40
+					// Get the size of the window frame, and leave out the status bar
+					const
+						winVal = await driver
+							.elementByClassName('XCUIElementTypeWindow')
+							.getBounds(),
+						statusBar = await statusBarHeight(driver);
+
+					dimensions = {
+						left: winVal.x * ratio,
+						top: (winVal.y + statusBar) * ratio,
+						width: winVal.width * ratio,
+						height: (winVal.height - statusBar) * ratio
 					};
-
-					try {
-					// Take the screenshot
-						const screenshot = await driver.takeScreenshot();
-						return processImg(file, modRoot, screenshot, thresh, overwrite, dimensions);
-					} catch (e) {
-						throw e;
-					}
+					break;
 
 				case 'Android':
 					const elements = await driver.elementsById('decor_content_parent');
@@ -809,30 +1284,19 @@ class WebDriver_Helper {
 							.elementById('decor_content_parent')
 							.getBounds();
 
-						// Create the config for PNGCrop to use
-						const dimensions = {
-							height: (bounds.height),
-							width: (bounds.width),
-							top: (bounds.y)
+						dimensions = {
+							left: bounds.x * ratio,
+							top: bounds.y * ratio,
+							width: bounds.width * ratio,
+							height: bounds.height * ratio
 						};
-
-						try {
-							// Take the screenshot
-							const screenshot = await driver.takeScreenshot();
-							return processImg(file, modRoot, screenshot, thresh, overwrite, dimensions);
-						} catch (e) {
-							throw e;
-						}
-					} else {
-						try {
-							// Take the screenshot
-							const screenshot = await driver.takeScreenshot();
-							return processImg(file, modRoot, screenshot, thresh, overwrite);
-						} catch (e) {
-							throw e;
-						}
 					}
+					break;
 			}
+
+			const regions = await resolveRegions(driver, ignore, screenshot, dimensions);
+
+			return processImg(file, modRoot, screenshot, thresh, overwrite, dimensions, { ignore: regions, mode: mode, compare: compare, capabilities: await driver.sessionCapabilities() });
 		});
 
 		/**
@@ -843,19 +1307,68 @@ class WebDriver_Helper {
 		 * tests which may require it).
 		 * @memberof WebDriverCommands
 		 *
-		 * @param {String} file - The path to the reference image
+		 * @param {String} file - The path to the general reference image, device specific baselines are looked up next to it
 		 * @param {String} modRoot - The path to the root of the project being tested
 		 * @param {Object} opts - Arguments
 		 * @param {Float} opts.thresh - Percentage fault value for image matching likeness
 		 * @param {Boolean} opts.overwrite - Whether or not to overwrite the reference image
 		 * @param {Int} opts.delay - The time to wait before taking the screenshot in milliseconds
+		 * @param {Array} opts.ignore - Rectangles, elements or locators (e.g. { id: 'clock' }) to mask out of the comparison
+		 * @param {String} opts.mode - The comparison tolerance, either 'nothing', 'antialiasing' or 'colors'
+		 * @param {String|Object} opts.compare - The comparison algorithm, either 'resemble', 'phash', 'ssim' or 'channel', or an object such as { method: 'ssim', similarity: 0.98 }, { method: 'phash', distance: 5 } or { method: 'channel', tolerance: 16, pixels: 100 }
+		 * @returns {Object} The method, metric and threshold of the comparison
+		 */
+		webdriver.addPromiseMethod('fullScreenshotTest', async function (file, modRoot, { thresh = 0.20, overwrite = false, delay = 2000, ignore = [], mode = 'nothing', compare = 'resemble' } = {}) {
+			const driver = this;
+
+			await driver.sleep(delay);
+
+			const
+				screenshot = await takeScreenshot(driver),
+				regions = await resolveRegions(driver, ignore, screenshot);
+
+			return processImg(file, modRoot, screenshot, thresh, overwrite, undefined, { ignore: regions, mode: mode, compare: compare, capabilities: await driver.sessionCapabilities() });
+		});
+
+		/**
+		 * @function elementScreenshotTest
+		 * @desc
+		 * Compares a screenshot of just the passed element, to a stored
+		 * reference image to see how they match.
+		 * @memberof WebDriverCommands
+		 *
+		 * @param {String} file - The path to the general reference image, device specific baselines are looked up next to it
+		 * @param {String} modRoot - The path to the root of the project being tested
+		 * @param {Object} opts - Optional arguments
+		 * @param {Float} opts.thresh - Percentage fault value for image matching likeness
+		 * @param {Boolean} opts.overwrite - Whether or not to overwrite the reference image
+		 * @param {Int} opts.delay - The time to wait before taking the screenshot in milliseconds
+		 * @param {Array} opts.ignore - Rectangles, elements or locators (e.g. { id: 'clock' }) to mask out of the comparison
+		 * @param {String} opts.mode - The comparison tolerance, either 'nothing', 'antialiasing' or 'colors'
+		 * @param {String|Object} opts.compare - The comparison algorithm, either 'resemble', 'phash', 'ssim' or 'channel', or an object such as { method: 'ssim', similarity: 0.98 }, { method: 'phash', distance: 5 } or { method: 'channel', tolerance: 16, pixels: 100 }
+		 * @returns {Object} The method, metric and threshold of the comparison
 		 */
-		webdriver.addPromiseMethod('fullScreenshotTest', async (file, modRoot, { thresh = 0.20, overwrite = false, delay = 2000 } = {}) => {
+		webdriver.addElementPromiseMethod('elementScreenshotTest', async function (file, modRoot, { thresh = 0.20, overwrite = false, delay = 2000, ignore = [], mode = 'nothing', compare = 'resemble' } = {}) {
+			const driver = this.browser;
+
 			await driver.sleep(delay);
 
-			const screenshot = await driver.takeScreenshot();
+			const
+				bounds = await this.getBounds(),
+				screenshot = await takeScreenshot(driver),
+				ratio = await driver.getPixelRatio(screenshot);
+
+			// Scale the element bounds up to the pixels of the screenshot
+			const dimensions = {
+				left: Math.round(bounds.x * ratio),
+				top: Math.round(bounds.y * ratio),
+				width: Math.round(bounds.width * ratio),
+				height: Math.round(bounds.height * ratio)
+			};
 
-			return processImg(file, modRoot, screenshot, thresh, overwrite);
+			const regions = await resolveRegions(driver, ignore, screenshot, dimensions);
+
+			return processImg(file, modRoot, screenshot, thresh, overwrite, dimensions, { ignore: regions, mode: mode, compare: compare, capabilities: await driver.sessionCapabilities() });
 		});
 	}
 }
@@ -863,106 +1376,341 @@ class WebDriver_Helper {
 module.exports = WebDriver_Helper;
 
 /**
- * Take the base64 encoded string of the screenshot, and compare it to the
- * stored reference image, then return the result.
+ * Take the screenshot, and compare it to the stored reference image, then
+ * return the result. The reference is resolved to the most specific baseline
+ * available for the device, and the screenshot is cropped, then scaled to the
+ * size of the reference, all in memory.
  * @private
  *
  * @param {String} file - The path to the reference image
  * @param {String} modRoot - The path to the root of the project being tested
- * @param {String} screenshot - The base64 encoded string representing the image
+ * @param {Object} screenshot - The decoded screenshot, turned to the device orientation
  * @param {Decimal} thresh - A custom defined image matching threshold
  * @param {Boolean} overwrite - Flag triggers overwrite of reference screenshot
- * @param {Object} dimensions - The dimensions to crop the image down to
+ * @param {Object} dimensions - The area of the screenshot to compare
+ * @param {Object} opts - Optional arguments
+ * @param {Object[]} opts.ignore - Rectangles, in cropped image pixels, to mask out of the comparison
+ * @param {String} opts.mode - The comparison tolerance, either 'nothing', 'antialiasing' or 'colors'
+ * @param {String|Object} opts.compare - The comparison algorithm, and its options
+ * @param {Object} opts.capabilities - The capabilities of the session, used to pick the baseline
+ * @returns {Object} The method, metric and threshold of the comparison, nothing when overwriting
  */
-async function processImg(file, modRoot, screenshot, thresh, overwrite, dimensions) {
-	let
-		screenshotDir = path.join(modRoot, 'Screen_Shots'),
-		screenshotPath = path.join(screenshotDir, path.basename(file));
-
-	fs.ensureDirSync(screenshotDir);
+async function processImg(file, modRoot, screenshot, thresh, overwrite, dimensions, { ignore = [], mode = 'nothing', compare = 'resemble', capabilities = {} } = {}) {
+	const
+		baseline = baselines.resolve(file, capabilities),
+		screenshotDir = path.join(modRoot, 'Screen_Shots', baseline.slot),
+		elem = path.parse(file),
+		screenshotPath = path.join(screenshotDir, `${elem.name}_Test${elem.ext}`);
 
 	if (overwrite) {
-		output.debug(`Overwite found, writing image to ${file}`);
-		try {
-			fs.writeFileSync(file, screenshot, 'base64');
-			await cropImg(file, dimensions);
-			return;
-		} catch (e) {
-			throw e;
-		}
-	} else {
-		if (!fs.existsSync(file)) { throw new Error(`Reference screenshot "${path.basename(file)}" doesn't exist`); }
+		output.debug(`Overwite found, writing image to ${baseline.target}`);
 
-		const elem = path.parse(screenshotPath);
+		fs.outputFileSync(baseline.target, images.encode(images.prepare(screenshot, { crop: dimensions })));
+		return;
+	}
 
-		screenshotPath = path.format({
-			name: `${elem.name}_Test`,
-			root: elem.root,
-			dir: elem.dir,
-			ext: elem.ext
+	if (!baseline.reference) { throw new Error(`Reference screenshot "${path.basename(file)}" doesn't exist for baseline "${baseline.slot || 'default'}" or any of its fallbacks`); }
+
+	output.debug(`Comparing ${screenshotPath} to ${baseline.reference}`);
+
+	const
+		expected = images.decode(fs.readFileSync(baseline.reference)),
+		cropped = images.prepare(screenshot, { crop: dimensions }),
+		actual = images.prepare(cropped, { size: expected });
+
+	// The ignored regions were measured against the screenshot before it was scaled
+	const
+		scale = actual.width / cropped.width,
+		regions = ignore.map(region => {
+			return {
+				x: Math.floor(region.x * scale),
+				y: Math.floor(region.y * scale),
+				width: Math.ceil(region.width * scale),
+				height: Math.ceil(region.height * scale)
+			};
 		});
 
-		output.debug(`Comparing ${screenshotPath} to ${file}`);
-		try {
-			fs.writeFileSync(screenshotPath, screenshot, 'base64');
-			await cropImg(screenshotPath, dimensions);
-			await compImg(screenshotPath, file, thresh);
-		} catch (e) {
-			throw e;
+	try {
+		const result = await compImg(actual, expected, screenshotPath, baseline.reference, thresh, { ignore: regions, mode: mode, compare: compare });
+
+		fs.removeSync(siblingPath(screenshotPath, 'Test', '.json'));
+
+		return result;
+	} catch (e) {
+		// Leave a record of the failure behind, so it can be approved into the baselines later
+		if (e.images) {
+			fs.writeJsonSync(siblingPath(screenshotPath, 'Test', '.json'), Object.assign({ target: baseline.target }, e.images));
 		}
+
+		throw e;
 	}
 }
 
 /**
- * Crop the image down to size dependant on the passed dimensions.
+ * Compare the taken screenshot, to a reference screenshot stored in the test
+ * repo. Allows for the custom definition of a comparison threshold for
+ * allowing leniancy in the comparison. When the images don't match, the
+ * screenshot, a diff image and a side-by-side composite are written to disk.
  * @private
  *
- * @param {String} imgPath - The path to the screenshot to be cropped
- * @param {Object} dimensions - The dimensions to crop the image down to
+ * @param {Object} actual - The decoded screenshot to be tested
+ * @param {Object} expected - The decoded reference screenshot
+ * @param {String} testImg - The path to write the screenshot to if it fails
+ * @param {String} reference - The path to the base reference screenshot
+ * @param {Decimal} thresh - A custom defined image matching threshold
+ * @param {Object} opts - Optional arguments
+ * @param {Object[]} opts.ignore - Rectangles to mask out of both images before comparing
+ * @param {String} opts.mode - The comparison tolerance, either 'nothing', 'antialiasing' or 'colors'
+ * @param {String|Object} opts.compare - The comparison algorithm, and its options
+ * @returns {Object} The method, metric and threshold of the comparison
  */
-function cropImg(imgPath, dimensions) {
-	return new Promise((resolve, reject) => {
+async function compImg(actual, expected, testImg, reference, thresh, { ignore = [], mode = 'nothing', compare = 'resemble' } = {}) {
+	const
+		diffPath = siblingPath(testImg, 'Diff'),
+		compositePath = siblingPath(testImg, 'Composite');
 
-		if (!dimensions) {
-			resolve();
-		}
+	// Mask both images the same way, so the ignored areas always match
+	const masked = [ expected, actual ].map(img => images.mask(images.clone(img), ignore));
+
+	const
+		result = await comparison.compare(masked[0], masked[1], compare, { thresh: thresh, mode: mode }),
+		metric = {
+			method: result.method,
+			metric: result.metric,
+			threshold: result.threshold
+		};
+
+	output.debug(`Compared with ${result.method}, got: ${result.metric}, threshold: ${result.threshold}`);
+
+	if (result.passed) {
+		// Clear out anything left behind by a previous failed comparison
+		[ testImg, diffPath, compositePath ].forEach(file => fs.removeSync(file));
+
+		return metric;
+	}
+
+	fs.outputFileSync(testImg, images.encode(actual));
+
+	try {
+		fs.writeFileSync(diffPath, images.encode(result.diff));
+		fs.writeFileSync(compositePath, images.encode(images.composite(masked.concat(result.diff))));
+	} catch (e) {
+		output.debug(`Unable to write the diff images: ${e.message}`);
+	}
+
+	const err = new Error([
+		result.message,
+		`Reference: ${reference}`,
+		`Actual: ${testImg}`,
+		`Diff: ${diffPath}`,
+		`Composite: ${compositePath}`
+	].join('\n\t'));
+
+	err.images = {
+		reference: reference,
+		actual: testImg,
+		diff: diffPath,
+		composite: compositePath
+	};
+
+	err.comparison = metric;
 
-		pngcrop.crop(imgPath, imgPath, dimensions, (cropErr) => {
-			if (cropErr) {
-				reject(cropErr);
-			} else {
-				resolve(imgPath);
+	throw err;
+}
+
+/**
+ * Work out which areas of a screenshot should be left out of a comparison, in
+ * the pixel coordinates of the (cropped) screenshot. Rectangles and element
+ * bounds are given in device coordinates, so are scaled to the screenshot.
+ * @private
+ *
+ * @param {Object} driver - The driver of the session that took the screenshot
+ * @param {Array} ignore - Rectangles, elements, or locators such as { id }, { xpath }, { text } or { className }
+ * @param {Object} screenshot - The decoded screenshot, used to measure the pixel ratio
+ * @param {Object} dimensions - The dimensions the screenshot will be cropped to
+ */
+async function resolveRegions(driver, ignore, screenshot, dimensions = {}) {
+	if (ignore.length === 0) {
+		return [];
+	}
+
+	// Device coordinates can be in points or dp, so scale them the same way as the crop
+	const
+		scale = await driver.getPixelRatio(screenshot),
+		finders = {
+			id: 'elementsId',
+			xpath: 'elementsXPath',
+			text: 'elementsText',
+			className: 'elementsClassName'
+		};
+
+	const rects = [];
+
+	for (const entry of ignore) {
+		if (typeof entry.getBounds === 'function') {
+			rects.push(await entry.getBounds());
+		} else if ([ 'x', 'y', 'width', 'height' ].every(key => typeof entry[key] === 'number')) {
+			rects.push(entry);
+		} else {
+			const strategy = Object.keys(finders).find(key => entry[key]);
+
+			if (!strategy) {
+				throw new Error(`Invalid ignore region ${JSON.stringify(entry)}, expected a rectangle, element or locator`);
 			}
-		});
+
+			const elements = await driver[finders[strategy]](entry[strategy]);
+
+			if (elements.length === 0) {
+				output.debug(`No elements found to ignore for ${strategy} '${entry[strategy]}'`);
+			}
+
+			for (const element of elements) {
+				rects.push(await element.getBounds());
+			}
+		}
+	}
+
+	return rects.map(rect => {
+		return {
+			x: Math.floor(rect.x * scale) - (dimensions.left || 0),
+			y: Math.floor(rect.y * scale) - (dimensions.top || 0),
+			width: Math.ceil(rect.width * scale),
+			height: Math.ceil(rect.height * scale)
+		};
 	});
 }
 
 /**
- * Compare the taken screenshot, to a reference screenshot stored in the test
- * repo. Allows for the custom definition of a comparison threshold for
- * allowing leniancy in the comparison.
+ * Make sure a command is being run against a session of the platform whose
+ * locators it uses.
  * @private
  *
- * @param {String} testImg - The path to the screenshot to be tested
- * @param {String} reference - The path to the base reference screenshot
- * @param {Decimal} thresh - A custom defined image matching threshold
+ * @param {Object} driver - The driver of the session
+ * @param {String} wanted - The platform the command works on
+ * @param {String} command - The name of the command, for the error
  */
-function compImg(testImg, reference, thresh) {
-	return new Promise((resolve, reject) => {
-		let threshold = 0.10;
+async function requirePlatform(driver, wanted, command) {
+	const platform = await driver.getPlatform();
 
-		// If a custom threshold was defined, use that instead
-		if (thresh) {
-			threshold = thresh;
+	if (platform !== wanted) {
+		throw new Error(`${command} can only be used on ${wanted}, not ${platform}`);
+	}
+}
+
+/**
+ * Capture the state of a list, so a gesture that leaves it unchanged can be
+ * spotted as having reached the end of it.
+ * @private
+ *
+ * @param {Object} driver - The driver of the session
+ * @param {Object} list - The element of the list
+ * @param {String} end - Either 'source' to use the page source, or 'lastItem' to use the last visible item of the list
+ */
+async function listSnapshot(driver, list, end) {
+	if (end === 'source') {
+		return driver.source();
+	}
+
+	const items = await list.elementsByXPath('./*');
+
+	for (const item of items.reverse()) {
+		if (await item.isDisplayed()) {
+			return JSON.stringify([ await item.text(), await item.getLocation() ]);
 		}
+	}
 
-		resemble(testImg).compareTo(reference).onComplete((difference) => {
-			if (difference.misMatchPercentage <= threshold) {
-				fs.unlinkSync(testImg);
-				resolve();
-			} else {
-				reject(new Error(`Images didn't meet required threshold, wanted below: ${threshold}%, got: ${difference.misMatchPercentage}%`));
-			}
-		});
-	});
+	return '';
+}
+
+/**
+ * Quote a string for use in an XPath expression. XPath has no escape
+ * characters, so strings containing both kinds of quote are built with
+ * concat().
+ * @private
+ *
+ * @param {String} value - The string to quote
+ */
+function xpathLiteral(value) {
+	if (!value.includes('"')) {
+		return `"${value}"`;
+	} else if (!value.includes('\'')) {
+		return `'${value}'`;
+	}
+
+	return `concat("${value.split('"').join('", \'"\', "')}")`;
+}
+
+/**
+ * Read the dimensions of a PNG from its header, without decoding the image.
+ * @private
+ *
+ * @param {String|Object} screenshot - The base64 encoded PNG, or an already decoded one
+ */
+function imageSize(screenshot) {
+	if (typeof screenshot !== 'string') {
+		return screenshot;
+	}
+
+	const header = Buffer.from(screenshot.substring(0, 44), 'base64');
+
+	return {
+		width: header.readUInt32BE(16),
+		height: header.readUInt32BE(20)
+	};
+}
+
+/**
+ * Take a screenshot and decode it, turning it to match the orientation of the
+ * device.
+ * @private
+ *
+ * @param {Object} driver - The driver of the session to take the screenshot in
+ */
+async function takeScreenshot(driver) {
+	const screenshot = images.decode(await driver.takeScreenshot());
+
+	try {
+		return images.orient(screenshot, await driver.getOrientation());
+	} catch (e) {
+		output.debug(`Unable to get the device orientation, leaving the screenshot as it is: ${e.message}`);
+
+		return screenshot;
+	}
+}
+
+/**
+ * Find the height of the iOS status bar, in points, as it varies from device
+ * to device.
+ * @private
+ *
+ * @param {Object} driver - The driver of the session
+ */
+async function statusBarHeight(driver) {
+	try {
+		const info = await driver.execute('mobile: deviceScreenInfo');
+
+		if (info && info.statusBarSize) {
+			return info.statusBarSize.height;
+		}
+	} catch (e) {
+		output.debug(`Unable to get the device screen info, looking for the status bar instead: ${e.message}`);
+	}
+
+	const statusBars = await driver.elementsByClassName('XCUIElementTypeStatusBar');
+
+	return (statusBars.length > 0) ? (await statusBars[0].getBounds()).height : 20;
+}
+
+/**
+ * Generate the path of a file related to a test screenshot, such as its diff.
+ * @private
+ *
+ * @param {String} testImg - The path to the test screenshot
+ * @param {String} suffix - The suffix to replace the test suffix with
+ * @param {String} ext - The extension of the related file, defaults to that of the screenshot
+ */
+function siblingPath(testImg, suffix, ext) {
+	const elem = path.parse(testImg);
+
+	return path.join(elem.dir, `${elem.name.replace(/_Test$/, '')}_${suffix}${ext || elem.ext}`);
 }
@@ -0,0 +1,79 @@
+'use strict';
+
+const
+	expect = require('chai').expect,
+	mocha = require('../src/mocha.js');
+
+describe('Mocha_Helper', () => {
+	describe('buildGrep', () => {
+		it('returns nothing when there is nothing to filter by', () => {
+			expect(mocha.buildGrep(undefined, [], [], [])).to.equal(undefined);
+		});
+
+		it('matches tags as whole words', () => {
+			const filter = mocha.buildGrep(undefined, [ '@smoke' ]);
+
+			expect(filter.test('Login works @smoke')).to.equal(true);
+			expect(filter.test('@smoke Login works')).to.equal(true);
+			expect(filter.test('Login @smoke works')).to.equal(true);
+			expect(filter.test('Login works @smoke-extended')).to.equal(false);
+			expect(filter.test('Login works @smokey')).to.equal(false);
+			expect(filter.test('Login works')).to.equal(false);
+		});
+
+		it('matches any of several tags', () => {
+			const filter = mocha.buildGrep(undefined, [ '@smoke', '@login' ]);
+
+			expect(filter.test('Login works @login')).to.equal(true);
+			expect(filter.test('Login works @smoke')).to.equal(true);
+			expect(filter.test('Login works @other')).to.equal(false);
+		});
+
+		it('leaves out tests with an excluded tag, but not a longer tag containing it', () => {
+			const filter = mocha.buildGrep(undefined, [ '@smoke' ], [ '@wip' ]);
+
+			expect(filter.test('Login works @smoke @wip')).to.equal(false);
+			expect(filter.test('Login works @smoke @wipe')).to.equal(true);
+		});
+
+		it('matches a string filter literally', () => {
+			const filter = mocha.buildGrep('works (on iOS)');
+
+			expect(filter.test('Login works (on iOS) fine')).to.equal(true);
+			expect(filter.test('Login works on iOS fine')).to.equal(false);
+		});
+
+		it('uses an expression filter as it is', () => {
+			const filter = mocha.buildGrep(/works|fails/);
+
+			expect(filter.test('Login fails')).to.equal(true);
+			expect(filter.test('Login skips')).to.equal(false);
+		});
+
+		it('matches whole titles, including regular expression characters', () => {
+			const filter = mocha.buildGrep(undefined, [], [], [ 'Login [a+b] works?', 'Cart $1.00 (total)' ]);
+
+			expect(filter.test('Login [a+b] works?')).to.equal(true);
+			expect(filter.test('Cart $1.00 (total)')).to.equal(true);
+			expect(filter.test('Login [a+b] works? again')).to.equal(false);
+			expect(filter.test('Login a works')).to.equal(false);
+			expect(filter.test('Cart $1x00 (total)')).to.equal(false);
+		});
+
+		it('matches titles by expression', () => {
+			const filter = mocha.buildGrep(undefined, [], [], [ /^Login /, 'Cart works' ]);
+
+			expect(filter.test('Login anything')).to.equal(true);
+			expect(filter.test('Cart works')).to.equal(true);
+			expect(filter.test('Cart fails')).to.equal(false);
+		});
+
+		it('combines the filter, tags and titles', () => {
+			const filter = mocha.buildGrep('Login', [ '@smoke' ], [ '@wip' ], [ 'Login works @smoke', 'Login fails @smoke @wip' ]);
+
+			expect(filter.test('Login works @smoke')).to.equal(true);
+			expect(filter.test('Login fails @smoke @wip')).to.equal(false);
+			expect(filter.test('Login other @smoke')).to.equal(false);
+		});
+	});
+});
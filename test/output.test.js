@@ -0,0 +1,44 @@
+'use strict';
+
+const
+	expect = require('chai').expect,
+	output = require('../src/output.js');
+
+describe('Output_Helper', () => {
+	describe('redact', () => {
+		afterEach(() => {
+			output.secrets.clear();
+		});
+
+		it('masks the values of password flags on a command line', () => {
+			expect(output.redact('appc login --username me --password hunter2 -O 123')).to.equal('appc login --username me --password ******** -O 123');
+			expect(output.redact('appc login -P hunter2 -O 123')).to.equal('appc login -P ******** -O 123');
+			expect(output.redact('ti build --keystore-password abc --store-password=def --key-password "g h"')).to.equal('ti build --keystore-password ******** --store-password=******** --key-password ********');
+		});
+
+		it('leaves other flags alone', () => {
+			expect(output.redact('ti build -p ios --target simulator')).to.equal('ti build -p ios --target simulator');
+			expect(output.redact('run --passwordless yes')).to.equal('run --passwordless yes');
+		});
+
+		it('masks the values of password flags in quoted argument lists', () => {
+			expect(output.redact('[ \'--password\', \'hunter2\' ]')).to.equal('[ \'--password\', \'********\' ]');
+			expect(output.redact('["-P","hunter2"]')).to.equal('["-P","********"]');
+			expect(output.redact('[ "--keystore-password", "a\\"b", "--alias", "key" ]')).to.equal('[ "--keystore-password", "********", "--alias", "key" ]');
+		});
+
+		it('masks registered secrets wherever they appear', () => {
+			output.addSecret('s3cret');
+			output.addSecret('s3cret-longer');
+
+			expect(output.redact('token s3cret-longer and s3cret')).to.equal('token ******** and ********');
+		});
+
+		it('ignores empty secrets', () => {
+			output.addSecret('');
+			output.addSecret(undefined);
+
+			expect(output.redact('nothing to hide')).to.equal('nothing to hide');
+		});
+	});
+});
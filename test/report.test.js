@@ -0,0 +1,102 @@
+'use strict';
+
+const
+	os = require('os'),
+	path = require('path'),
+	fs = require('fs-extra'),
+	expect = require('chai').expect,
+	report = require('../src/report.js');
+
+/**
+ * Build the result of a single test, filling in anything not given.
+ *
+ * @param {Object} fields - The fields to set on the result
+ */
+function result(fields) {
+	return Object.assign({
+		type: 'test',
+		title: 'works',
+		fullTitle: 'Suite works',
+		suite: 'Suite',
+		file: '/project/Tests/suite.test.js',
+		state: 'passed',
+		duration: 1500,
+		attempts: 1,
+		flaky: false,
+		error: undefined,
+		retries: [],
+		attachments: []
+	}, fields);
+}
+
+/**
+ * Write results out as a JUnit report, then read them back in.
+ *
+ * @param {String} dir - The directory to write the report to
+ * @param {Object[]} tests - The test results to write
+ */
+async function roundTrip(dir, tests) {
+	const written = await report.write({
+		label: 'run',
+		duration: 2000,
+		stats: { tests: tests.length, failures: tests.filter(test => test.state === 'failed').length, pending: 0 },
+		tests: tests
+	}, [ 'junit' ], dir);
+
+	return report.load(written.junit).tests;
+}
+
+describe('Report_Helper', () => {
+	let dir;
+
+	beforeEach(() => {
+		dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ti-appium-report-'));
+	});
+
+	afterEach(() => {
+		fs.removeSync(dir);
+	});
+
+	describe('JUnit round trip', () => {
+		it('keeps the full title when the title starts with the suite name', async () => {
+			const [ test ] = await roundTrip(dir, [ result({ title: 'Login button shows', fullTitle: 'Login Login button shows', suite: 'Login' }) ]);
+
+			expect(test.fullTitle).to.equal('Login Login button shows');
+			expect(test.suite).to.equal('Login');
+			expect(test.title).to.equal('Login button shows');
+		});
+
+		it('keeps the bare title of tests in the root suite', async () => {
+			const [ test ] = await roundTrip(dir, [ result({ title: 'works', fullTitle: 'works', suite: '' }) ]);
+
+			expect(test.fullTitle).to.equal('works');
+			expect(test.suite).to.equal('');
+		});
+
+		it('reads back the state, duration and error of each test', async () => {
+			const tests = await roundTrip(dir, [
+				result({ title: 'fails', fullTitle: 'Suite fails', state: 'failed', error: { name: 'AssertionError', message: 'expected <a> & "b"', stack: 'AssertionError: expected <a> & "b"\n    at test' } }),
+				result({ title: 'skips', fullTitle: 'Suite skips', state: 'pending', duration: 0 })
+			]);
+
+			expect(tests.map(test => test.state)).to.deep.equal([ 'failed', 'pending' ]);
+			expect(tests[0].duration).to.equal(1500);
+			expect(tests[0].error).to.deep.equal({ name: 'AssertionError', message: 'expected <a> & "b"', stack: 'AssertionError: expected <a> & "b"\n    at test' });
+		});
+
+		it('keeps tests that passed on retry as flaky', async () => {
+			const [ test ] = await roundTrip(dir, [ result({ attempts: 2, flaky: true, retries: [ { name: 'Error', message: 'timed out', stack: 'Error: timed out' } ] }) ]);
+
+			expect(test.flaky).to.equal(true);
+			expect(test.attempts).to.equal(2);
+			expect(test.retries).to.deep.equal([ { name: 'Error', message: 'timed out', stack: 'Error: timed out' } ]);
+		});
+
+		it('strips control characters that XML doesn\'t allow', async () => {
+			const [ test ] = await roundTrip(dir, [ result({ state: 'failed', error: { name: 'Error', message: '\x1b[31mred\x1b[0m', stack: 'Error: \x1b[31mred\x00' } }) ]);
+
+			expect(test.error.message).to.equal('[31mred[0m');
+			expect(test.error.stack).to.equal('Error: [31mred');
+		});
+	});
+});
@@ -0,0 +1,55 @@
+'use strict';
+
+const
+	expect = require('chai').expect,
+	uiautomator = require('../src/uiautomator.js'),
+	ui = uiautomator.ui;
+
+describe('UiAutomator_Helper', () => {
+	describe('ui', () => {
+		it('builds an empty selector', () => {
+			expect(String(ui())).to.equal('new UiSelector()');
+		});
+
+		it('chains string, number and boolean methods', () => {
+			expect(String(ui().resourceId('com.app:id/list').scrollable().index(0).instance(2))).to.equal('new UiSelector().resourceId("com.app:id/list").scrollable(true).index(0).instance(2)');
+		});
+
+		it('escapes quotes, backslashes and line breaks', () => {
+			expect(String(ui().text('Say "hi"\\now'))).to.equal('new UiSelector().text("Say \\"hi\\"\\\\now")');
+			expect(String(ui().text('one\ntwo\tthree\r'))).to.equal('new UiSelector().text("one\\ntwo\\tthree\\r")');
+		});
+
+		it('leaves regular expression characters as they are', () => {
+			expect(String(ui().textMatches('^Item [0-9]+$'))).to.equal('new UiSelector().textMatches("^Item [0-9]+$")');
+		});
+
+		it('nests other selectors', () => {
+			expect(String(ui().className('android.widget.ListView').childSelector(ui().textContains('Item')))).to.equal('new UiSelector().className("android.widget.ListView").childSelector(new UiSelector().textContains("Item"))');
+		});
+
+		it('rejects values of the wrong type', () => {
+			expect(() => ui().text(5)).to.throw('UiSelector.text takes a string, got number');
+			expect(() => ui().instance(-1)).to.throw('UiSelector.instance takes a whole number of 0 or more, got -1');
+			expect(() => ui().instance(1.5)).to.throw('UiSelector.instance takes a whole number of 0 or more, got 1.5');
+			expect(() => ui().checked('yes')).to.throw('UiSelector.checked takes a boolean, got string');
+			expect(() => ui().childSelector('new UiSelector()')).to.throw('UiSelector.childSelector takes another selector');
+		});
+	});
+
+	describe('scrollIntoView', () => {
+		it('scrolls the first scrollable container by default', () => {
+			expect(uiautomator.scrollIntoView(ui().text('Item 20'))).to.equal('new UiScrollable(new UiSelector().scrollable(true)).scrollIntoView(new UiSelector().text("Item 20"))');
+		});
+
+		it('scrolls a given container horizontally, with a limit on swipes', () => {
+			const expression = ui().text('Tab "5"').scrollIntoView({ container: ui().resourceId('tabs'), horizontal: true, maxSwipes: 3 });
+
+			expect(expression).to.equal('new UiScrollable(new UiSelector().resourceId("tabs")).setAsHorizontalList().setMaxSearchSwipes(3).scrollIntoView(new UiSelector().text("Tab \\"5\\""))');
+		});
+
+		it('rejects anything other than a selector', () => {
+			expect(() => uiautomator.scrollIntoView({ text: 'Item' })).to.throw('Expected a selector built with ui(), or a UiSelector expression');
+		});
+	});
+});